@@ -0,0 +1,11 @@
+/**
+ * api/admin-shoots.js - Vercel Serverless Function
+ *
+ * Proxies the admin data Google Apps Script.
+ * Logic lives in lib/handlers/admin-shoots.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/admin-shoots.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
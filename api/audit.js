@@ -0,0 +1,11 @@
+/**
+ * api/audit.js - Vercel Serverless Function
+ *
+ * Searches the audit trail of mutating actions (admin only).
+ * Logic lives in lib/handlers/audit.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/audit.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
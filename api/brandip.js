@@ -0,0 +1,11 @@
+/**
+ * api/brandip.js - Vercel Serverless Function
+ *
+ * Proxies the brand and IP list Apps Script.
+ * Logic lives in lib/handlers/brandip.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/brandip.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
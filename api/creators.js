@@ -0,0 +1,11 @@
+/**
+ * api/creators.js - Vercel Serverless Function
+ *
+ * Proxies the creators list Apps Script.
+ * Logic lives in lib/handlers/creators.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/creators.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
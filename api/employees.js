@@ -0,0 +1,11 @@
+/**
+ * api/employees.js - Vercel Serverless Function
+ *
+ * Proxies the employees Google Apps Script.
+ * Logic lives in lib/handlers/employees.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/employees.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
@@ -0,0 +1,11 @@
+/**
+ * api/events.js - Vercel Serverless Function
+ *
+ * Streams booking change events (Server-Sent Events).
+ * Logic lives in lib/handlers/events.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/events.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
@@ -0,0 +1,11 @@
+/**
+ * api/google-script.js - Vercel Serverless Function
+ *
+ * Proxies the My Day bookings Google Apps Script.
+ * Logic lives in lib/handlers/google-script.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/google-script.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
@@ -0,0 +1,11 @@
+/**
+ * api/health.js - Vercel Serverless Function
+ *
+ * Liveness and readiness checks (details for admins only).
+ * Logic lives in lib/handlers/health.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/health.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
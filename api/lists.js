@@ -0,0 +1,11 @@
+/**
+ * api/lists.js - Vercel Serverless Function
+ *
+ * Shows and refreshes the cached reference lists (admin only).
+ * Logic lives in lib/handlers/lists.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/lists.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
@@ -0,0 +1,11 @@
+/**
+ * api/lockouts.js - Vercel Serverless Function
+ *
+ * Lists and lifts login lockouts (admin only).
+ * Logic lives in lib/handlers/lockouts.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/lockouts.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
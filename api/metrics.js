@@ -0,0 +1,11 @@
+/**
+ * api/metrics.js - Vercel Serverless Function
+ *
+ * Prometheus metrics for proxy traffic (bearer METRICS_TOKEN or admin).
+ * Logic lives in lib/handlers/metrics.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/metrics.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
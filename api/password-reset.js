@@ -0,0 +1,11 @@
+/**
+ * api/password-reset.js - Vercel Serverless Function
+ *
+ * Requests a password reset email or sets a new password from a reset link.
+ * Logic lives in lib/handlers/password-reset.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/password-reset.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
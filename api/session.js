@@ -0,0 +1,11 @@
+/**
+ * api/session.js - Vercel Serverless Function
+ *
+ * Reads (GET) or clears (DELETE) the signed session cookie.
+ * Logic lives in lib/handlers/session.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/session.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
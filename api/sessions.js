@@ -0,0 +1,11 @@
+/**
+ * api/sessions.js - Vercel Serverless Function
+ *
+ * Signs a person out of all their devices (admin only).
+ * Logic lives in lib/handlers/sessions.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/sessions.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
@@ -0,0 +1,11 @@
+/**
+ * api/slot-lock.js - Vercel Serverless Function
+ *
+ * Takes, renews and releases leases on booking slots.
+ * Logic lives in lib/handlers/slot-lock.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/slot-lock.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
@@ -0,0 +1,11 @@
+/**
+ * api/view-as.js - Vercel Serverless Function
+ *
+ * Lets an admin browse the app as an employee, read-only (audited).
+ * Logic lives in lib/handlers/view-as.js and is shared with server.js.
+ */
+
+import route from '../lib/handlers/view-as.js';
+import { toVercelHandler } from '../lib/adapters/vercel.js';
+
+export default toVercelHandler(route);
@@ -0,0 +1,24 @@
+/**
+ * lib/adapters/node.js - Dev server adapter
+ *
+ * Looks up /api/* paths in the shared route table for server.js
+ */
+
+const { ROUTES } = require('../routes');
+const { dispatch } = require('../dispatch');
+
+/**
+ * Handle a request if it targets a known API route
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} pathname
+ * @returns {boolean} true if the request was handled
+ */
+function handleApiRequest(req, res, pathname) {
+    const route = ROUTES[pathname];
+    if (!route) return false;
+    dispatch(route, req, res);
+    return true;
+}
+
+module.exports = { handleApiRequest };
@@ -0,0 +1,19 @@
+/**
+ * lib/adapters/vercel.js - Vercel serverless adapter
+ *
+ * Wraps a shared route as a Vercel function. Vercel parses req.body lazily,
+ * so the raw stream is still unread and goes through the same body parsing
+ * and the same size, type and time limits as the dev server.
+ */
+
+const { dispatch } = require('../dispatch');
+
+/**
+ * @param {object} route - route definition from lib/handlers
+ * @returns {function(object, object): Promise<void>} Vercel handler
+ */
+function toVercelHandler(route) {
+    return (req, res) => dispatch(route, req, res);
+}
+
+module.exports = { toVercelHandler };
@@ -0,0 +1,68 @@
+/**
+ * lib/apps-script.js - Server-side access to the Google Apps Scripts
+ *
+ * The script URLs and the shared `key` only ever live in server env vars;
+ * the browser talks to the /api/* proxies built on this module. Calls go
+ * through lib/upstream.js, with the script name as the upstream name.
+ */
+
+const { HttpError, json } = require('./http');
+const upstream = require('./upstream');
+const { log } = require('./log');
+const { config } = require('./config');
+
+// script name -> env var holding its URL (see lib/config.js)
+const SCRIPTS = {
+    auth: 'GOOGLE_AUTH_SCRIPT_URL',
+    creators: 'GOOGLE_CREATORS_SCRIPT_URL',
+    brandip: 'GOOGLE_BRANDIP_SCRIPT_URL',
+    myday: 'GOOGLE_MYDAY_SCRIPT_URL',
+    attendance: 'GOOGLE_ATTENDANCE_SCRIPT_URL',
+    adminData: 'GOOGLE_ADMIN_DATA_SCRIPT_URL',
+    employees: 'GOOGLE_EMPLOYEES_SCRIPT_URL'
+};
+
+/**
+ * @param {string} name - key of SCRIPTS
+ * @returns {string} script URL
+ * @throws {HttpError} 500 when the env var is missing
+ */
+function scriptUrl(name) {
+    const url = config().scripts[name];
+    if (!url) {
+        throw new HttpError(500, `Server misconfigured: ${SCRIPTS[name]} missing`);
+    }
+    return url;
+}
+
+/**
+ * Shared key the bookings and employees scripts expect as ?key=
+ * @returns {string} APP_KEY, or the legacy key in local development
+ */
+function scriptKey() {
+    return config().scriptKey;
+}
+
+/**
+ * GET a script with query parameters and relay its JSON answer
+ * @param {string} name - key of SCRIPTS
+ * @param {object} [params] - query parameters; empty values are dropped
+ * @returns {Promise<object>} response with the script's status and JSON body
+ * @throws {HttpError} 502 when the script answers with non-JSON; see upstream.request() for the rest
+ */
+async function getScript(name, params = {}) {
+    const url = new URL(scriptUrl(name));
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+    });
+
+    const response = await upstream.request(name, url);
+    try {
+        return json(response.status, JSON.parse(response.text));
+    } catch (e) {
+        log.error('Apps Script returned non-JSON', { script: name, status: response.status });
+        throw new HttpError(502, `The ${name} script returned an invalid response`);
+    }
+}
+
+module.exports = { SCRIPTS, scriptUrl, scriptKey, getScript };
@@ -0,0 +1,197 @@
+/**
+ * lib/assets.js - Content-hashed URLs for the files in ./public
+ *
+ * Scripts, stylesheets, images and fonts are addressed as
+ * name.<hash>.ext, where the hash covers the file's content after its own
+ * references have been rewritten. A page therefore names every asset it
+ * loads by hash, a module names its imports by hash, and a change anywhere
+ * below a file changes that file's URL too - which is what makes the
+ * year-long immutable caching safe.
+ *
+ * References are rewritten in:
+ *   HTML - src="/..." and href="/..." (any old ?v=N query is dropped)
+ *   CSS  - url(...) and @import
+ *   JS   - static import/export ... from, side-effect imports and import()
+ *
+ * Files are read and hashed on first use and again whenever their mtime or
+ * size changes, so server.js picks up edits without a restart.
+ * scripts/build.js writes the same output to dist/ for Vercel.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const HASH_LENGTH = 10;
+
+const HASHED_EXTENSIONS = ['.js', '.css', '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif', '.woff', '.woff2'];
+const HASHED_NAME = new RegExp(`^(.+)\\.([0-9a-f]{${HASH_LENGTH}})(\\.[A-Za-z0-9]+)$`);
+
+// extension -> rewriter for references inside that kind of file
+const REFERENCE_PATTERNS = {
+    '.html': [/(\b(?:src|href)\s*=\s*)(["'])([^"']+)\2/g],
+    '.css': [/(url\(\s*)(["']?)([^"')]+)\2(?=\s*\))/g, /(@import\s+)(["'])([^"']+)\2/g],
+    '.js': [
+        /^(\s*(?:import|export)\b[^;'"]*?\bfrom\s*)(["'])([^"']+)\2/gm,
+        /^(\s*import\s*)(["'])([^"']+)\2/gm,
+        /(\bimport\(\s*)(["'])([^"']+)\2(?=\s*\))/g
+    ]
+};
+
+const entries = new Map();   // URL path -> { mtimeMs, size, source, built }
+
+/**
+ * @param {string} urlPath - e.g. /js/auth.js
+ * @returns {boolean} true when the file is served under a hashed URL
+ */
+function isHashable(urlPath) {
+    return HASHED_EXTENSIONS.includes(path.posix.extname(urlPath).toLowerCase());
+}
+
+/**
+ * @param {string} urlPath
+ * @returns {string|null} absolute file path inside ./public, or null when it escapes it
+ */
+function fileFor(urlPath) {
+    let file;
+    try {
+        file = path.join(PUBLIC_DIR, decodeURIComponent(urlPath));
+    } catch (e) {
+        return null;   // malformed %-escape
+    }
+    return file.startsWith(PUBLIC_DIR + path.sep) ? file : null;
+}
+
+/**
+ * Resolve a reference found in `fromUrl` to a local URL path
+ * @param {string} fromUrl
+ * @param {string} reference - e.g. ./auth.js or /css/styles.css?v=3
+ * @returns {object|null} { urlPath, relative } or null for external/data/anchor references
+ */
+function resolveReference(fromUrl, reference) {
+    if (/^(?:[a-z]+:|\/\/|#)/i.test(reference)) return null;
+    const urlPath = reference.split(/[?#]/)[0];
+    if (!urlPath) return null;
+    const relative = !urlPath.startsWith('/');
+    return {
+        urlPath: relative ? path.posix.resolve(path.posix.dirname(fromUrl), urlPath) : urlPath,
+        relative
+    };
+}
+
+/**
+ * @param {string} urlPath
+ * @param {string} hash
+ * @returns {string} e.g. /js/auth.0123456789.js
+ */
+function withHash(urlPath, hash) {
+    const ext = path.posix.extname(urlPath);
+    return `${urlPath.slice(0, -ext.length)}.${hash}${ext}`;
+}
+
+/**
+ * Rewrite the references in a text asset to hashed URLs
+ * @param {string} urlPath - the asset's own URL
+ * @param {string} text
+ * @param {Set<string>} visiting - URL paths being built above this one
+ * @returns {string}
+ */
+function rewriteReferences(urlPath, text, visiting) {
+    const patterns = REFERENCE_PATTERNS[path.posix.extname(urlPath).toLowerCase()] || [];
+    return patterns.reduce((result, pattern) => result.replace(pattern, (match, lead, quote, reference) => {
+        const resolved = resolveReference(urlPath, reference);
+        if (!resolved || !isHashable(resolved.urlPath) || visiting.has(resolved.urlPath)) return match;
+
+        const hashed = hashedUrl(resolved.urlPath, visiting);
+        if (hashed === resolved.urlPath) return match;
+
+        let target = hashed;
+        if (resolved.relative) {
+            target = path.posix.relative(path.posix.dirname(urlPath), hashed);
+            if (!target.startsWith('.')) target = `./${target}`;
+        }
+        return `${lead}${quote}${target}${quote}`;
+    }), text);
+}
+
+/**
+ * Load a file from ./public with its references rewritten
+ * @param {string} urlPath - unhashed URL path, e.g. /js/booking.js
+ * @param {Set<string>} [visiting] - import cycle guard
+ * @returns {object|null} { urlPath, file, content: Buffer, hash, mtime }, or null when missing
+ */
+function getAsset(urlPath, visiting = new Set()) {
+    const file = fileFor(urlPath);
+    if (!file) return null;
+
+    let stats;
+    try {
+        stats = fs.statSync(file);
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+        throw err;
+    }
+    if (!stats.isFile()) return null;
+
+    let entry = entries.get(urlPath);
+    if (!entry || entry.mtimeMs !== stats.mtimeMs || entry.size !== stats.size) {
+        entry = { mtimeMs: stats.mtimeMs, size: stats.size, source: fs.readFileSync(file), built: null };
+        entries.set(urlPath, entry);
+    }
+
+    // Rebuilt whenever a referenced file changed, even if this one did not
+    let content = entry.source;
+    if (REFERENCE_PATTERNS[path.posix.extname(urlPath).toLowerCase()]) {
+        visiting.add(urlPath);
+        content = Buffer.from(rewriteReferences(urlPath, entry.source.toString('utf-8'), visiting));
+        visiting.delete(urlPath);
+    }
+    if (!entry.built || !entry.built.content.equals(content)) {
+        const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+        entry.built = { content, hash, compressed: {} };
+    }
+
+    return { urlPath, file, content: entry.built.content, hash: entry.built.hash, mtime: stats.mtime, compressed: entry.built.compressed };
+}
+
+/**
+ * Hashed URL of an asset, or the URL unchanged when it is missing or not hashable
+ * @param {string} urlPath
+ * @param {Set<string>} [visiting]
+ * @returns {string}
+ */
+function hashedUrl(urlPath, visiting) {
+    if (!isHashable(urlPath)) return urlPath;
+    const asset = getAsset(urlPath, visiting);
+    return asset ? withHash(urlPath, asset.hash) : urlPath;
+}
+
+/**
+ * Split a hashed URL into the file it names and the hash it asked for
+ * @param {string} urlPath - e.g. /js/auth.0123456789.js
+ * @returns {object|null} { urlPath: '/js/auth.js', hash } or null when not hashed
+ */
+function parseHashedUrl(urlPath) {
+    const match = HASHED_NAME.exec(urlPath);
+    if (!match || !isHashable(urlPath)) return null;
+    return { urlPath: match[1] + match[3], hash: match[2] };
+}
+
+/**
+ * Every file under ./public as a URL path
+ * @returns {string[]}
+ */
+function listAssets() {
+    const urls = [];
+    const walk = (dir, prefix) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(item => {
+            if (item.isDirectory()) walk(path.join(dir, item.name), `${prefix}${item.name}/`);
+            else if (item.isFile()) urls.push(`${prefix}${item.name}`);
+        });
+    };
+    walk(PUBLIC_DIR, '/');
+    return urls.sort();
+}
+
+module.exports = { PUBLIC_DIR, isHashable, getAsset, hashedUrl, parseHashedUrl, withHash, listAssets };
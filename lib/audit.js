@@ -0,0 +1,198 @@
+/**
+ * lib/audit.js - Audit trail of mutating actions
+ *
+ * Every booking mutation forwarded to n8n, every attendance write, every
+ * lockout an admin lifts, every sign-out of all devices and every start and
+ * end of "view as" is appended to the 'audit' records, whether it went
+ * through or not:
+ *
+ *   { at, requestId, actor: { name, email, role }, onBehalfOf, action,
+ *     bookingId, changes: { field: { from, to } }, details, outcome, status }
+ *
+ * outcome is done, conflict (n8n reported a clash), failed or noop.
+ *
+ * The actor and role come from the verified session; while an admin views
+ * the app as someone, the actor is the admin. `from` values (oldCast,
+ * oldDop, old_attendance, ...) are what the page showed the user when they
+ * made the change; the bookings sheet stays the source of truth.
+ *
+ * Records are never edited or removed. They are kept in the auth sheet
+ * (lib/shared-store.js), so /api/audit finds what every instance wrote.
+ */
+
+const { appendRecord, readRecords } = require('./shared-store');
+const { currentRequestId, log } = require('./log');
+
+const STORE = 'audit';
+const MAX_RESULTS = 500;
+
+/**
+ * @param {*} from
+ * @param {*} to
+ * @returns {object|null} { from, to }, or null when nothing changed
+ */
+function change(from, to) {
+    const before = from === undefined || from === null ? '' : String(from);
+    const after = to === undefined || to === null ? '' : String(to);
+    return before === after ? null : { from: before, to: after };
+}
+
+/**
+ * Drop empty entries so records only carry what the action touched
+ * @param {object} fields
+ * @returns {object}
+ */
+function compact(fields) {
+    const result = {};
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        if (Array.isArray(value) && value.length === 0) return;
+        result[key] = value;
+    });
+    return result;
+}
+
+// n8n action -> what its audit record keeps of the payload
+const N8N_ACTIONS = {
+    booking_submit: p => ({
+        details: compact({
+            date: p.dateKey,
+            fromTime: p.fromTime,
+            toTime: p.toTime,
+            shootName: p.shoot?.shootName,
+            brand: p.shoot?.brand,
+            ip: p.shoot?.ip,
+            noOfShoot: p.shoot?.noOfShoot,
+            location: p.shoot?.location,
+            names: p.selected?.names,
+            dops: p.selected?.dops
+        })
+    }),
+    pro_or_post: p => ({
+        details: compact({
+            date: p.dateKey,
+            fromTime: p.fromTime,
+            toTime: p.toTime,
+            stage: p.productionDetails?.productionStageType,
+            stageValue: p.productionDetails?.productionStageValue,
+            workName: p.productionDetails?.workName,
+            names: p.selected?.names,
+            dops: p.selected?.dops
+        })
+    }),
+    update_booking: p => ({
+        bookingId: p.booking?.bookingId,
+        changes: compact({
+            dop: change(p.booking?.oldDop, p.booking?.newDop),
+            cast: change(p.booking?.oldCast, p.booking?.newCast),
+            noOfShoot: change(p.booking?.oldNoOfShoot, p.booking?.newNoOfShoot)
+        }),
+        details: compact({ shootName: p.booking?.shootName, removeUsers: p.removeUsers, addUsers: p.addUsers })
+    }),
+    delete_booking: p => ({
+        bookingId: p.booking?.bookingId,
+        details: compact({ shootName: p.booking?.shootName, date: p.booking?.date, deleteReason: p.booking?.deleteReason })
+    }),
+    free: p => ({
+        bookingId: p.booking?.bookingId,
+        details: compact({ shootName: p.booking?.shootName, date: p.booking?.date })
+    }),
+    booking_complete: p => ({
+        bookingId: p.bookingData?.bookingId,
+        details: compact({ shootName: p.bookingData?.shootName, remark: p.completeData?.remark2, links: p.completeData?.links })
+    }),
+    update_attendance: p => ({
+        changes: compact({ attendance: change(p.attendance?.old_attendance, p.attendance?.new_attendance) }),
+        details: compact({ employee: p.attendance?.employee, date: p.attendance?.date })
+    })
+};
+
+/**
+ * Append one record; a failed write is logged, never surfaced to the user
+ * whose action already went through
+ * @param {object} session - verified session of the actor
+ * @param {object} entry - { action, bookingId, onBehalfOf, changes, details, outcome, status }
+ * @returns {Promise<void>}
+ */
+async function record(session, entry) {
+    const actor = session.impersonator || session;
+    const auditRecord = {
+        at: new Date().toISOString(),
+        requestId: currentRequestId(),
+        actor: { name: actor.name, email: actor.email, role: actor.role },
+        onBehalfOf: entry.onBehalfOf || null,
+        action: entry.action,
+        bookingId: entry.bookingId ? String(entry.bookingId) : null,
+        changes: entry.changes || {},
+        details: entry.details || {},
+        outcome: entry.outcome,
+        status: entry.status ?? null
+    };
+    try {
+        await appendRecord(STORE, auditRecord);
+    } catch (err) {
+        log.error('Audit record could not be written', { action: entry.action, bookingId: auditRecord.bookingId, err });
+    }
+}
+
+/**
+ * Record a mutation forwarded to n8n
+ * @param {object} session
+ * @param {object} payload - stamped payload, plus the caller's onBehalfOf
+ * @param {object} result - { outcome: done|conflict|failed, status, bookingId? }
+ * @returns {Promise<void>}
+ */
+function recordN8nAction(session, payload, result) {
+    const describe = N8N_ACTIONS[payload.action];
+    if (!describe) return Promise.resolve();
+
+    const { bookingId, changes, details } = describe(payload);
+    return record(session, {
+        action: payload.action,
+        bookingId: bookingId || result.bookingId,
+        onBehalfOf: payload.onBehalfOf,
+        changes,
+        details,
+        outcome: result.outcome,
+        status: result.status
+    });
+}
+
+/**
+ * @param {object} query - { person, bookingId, action, from, to }; from and to
+ *   are ISO timestamps, so the page can send the bounds of the user's local days
+ * @returns {function(object): boolean}
+ */
+function matcher({ person, bookingId, action, from, to }) {
+    const who = String(person || '').trim().toLowerCase();
+    const id = String(bookingId || '').trim().toLowerCase();
+    return auditRecord => {
+        if (action && auditRecord.action !== action) return false;
+        if (id && String(auditRecord.bookingId || '').toLowerCase() !== id) return false;
+        if (from && auditRecord.at < from) return false;
+        if (to && auditRecord.at > to) return false;
+        if (who) {
+            const people = [
+                auditRecord.actor?.name,
+                auditRecord.actor?.email,
+                auditRecord.onBehalfOf,
+                auditRecord.details?.employee,
+                auditRecord.details?.email
+            ];
+            if (!people.some(value => String(value || '').toLowerCase().includes(who))) return false;
+        }
+        return true;
+    };
+}
+
+/**
+ * Audit records matching the filters, newest first
+ * @param {object} [query] - see matcher(); all filters optional
+ * @returns {Promise<object>} { records, truncated }
+ */
+async function searchAudit(query = {}) {
+    const matches = (await readRecords(STORE)).filter(matcher(query));
+    return { records: matches.slice(0, MAX_RESULTS), truncated: matches.length > MAX_RESULTS };
+}
+
+module.exports = { N8N_ACTIONS, record, recordN8nAction, searchAudit };
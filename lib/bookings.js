@@ -0,0 +1,71 @@
+/**
+ * lib/bookings.js - Server-side lookups against the My Day bookings script
+ *
+ * Used to verify booking ownership before a mutation is forwarded to n8n,
+ * so the check never relies on booking fields sent by the browser.
+ */
+
+const { HttpError } = require('./http');
+const { scriptKey } = require('./apps-script');
+const { config } = require('./config');
+const upstream = require('./upstream');
+
+/**
+ * Fetch every booking an employee appears in (as creator, cast or DOP)
+ * @param {string} employee - employee name as stored in the sheet
+ * @returns {Promise<object[]>} booking rows
+ * @throws {HttpError} 503 when the bookings script cannot be used; see upstream.request() for the rest
+ */
+async function fetchEmployeeBookings(employee) {
+    const scriptUrl = config().scripts.myday;
+    if (!scriptUrl) {
+        throw new HttpError(503, 'Cannot verify booking: GOOGLE_MYDAY_SCRIPT_URL missing');
+    }
+
+    const url = `${scriptUrl}?employee=${encodeURIComponent(employee)}&name=${encodeURIComponent(employee)}&key=${encodeURIComponent(scriptKey())}`;
+    const response = await upstream.request('myday', url);
+    let data;
+    try {
+        data = JSON.parse(response.text);
+    } catch (err) {
+        throw new HttpError(503, 'Cannot verify booking: bookings script returned an invalid response');
+    }
+
+    if (Array.isArray(data)) return data;
+    if (data && data.ok === true && Array.isArray(data.rows)) return data.rows;
+    throw new HttpError(503, 'Cannot verify booking: bookings script returned an error');
+}
+
+/**
+ * Booking ID of a sheet row
+ * @param {object} row
+ * @returns {string}
+ */
+function bookingIdOf(row) {
+    return String(row['Booking ID'] ?? row['ID'] ?? '').trim();
+}
+
+/**
+ * Find one of an employee's bookings by ID
+ * @param {string} employee
+ * @param {string} bookingId
+ * @returns {Promise<object|null>} booking row
+ */
+async function findEmployeeBooking(employee, bookingId) {
+    const wanted = String(bookingId || '').trim();
+    if (!wanted) return null;
+    const rows = await fetchEmployeeBookings(employee);
+    return rows.find(row => bookingIdOf(row) === wanted) || null;
+}
+
+/**
+ * Case-insensitive name comparison used for shoot lead checks
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function sameName(a, b) {
+    return Boolean(a && b) && String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+module.exports = { fetchEmployeeBookings, findEmployeeBooking, bookingIdOf, sameName };
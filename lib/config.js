@@ -0,0 +1,287 @@
+/**
+ * lib/config.js - Typed, validated configuration from env vars
+ *
+ * Every env var the server reads is declared in SCHEMA with its type, the
+ * feature it belongs to and whether that feature can run without it.
+ * config() parses and checks them all at once and returns a frozen object;
+ * when anything is wrong it throws a ConfigError listing every problem, so a
+ * deploy fails on its first request (or server.js at startup) instead of
+ * part-way through a booking.
+ *
+ * required: true      - the app cannot run without it
+ * required: 'vercel'  - needed on Vercel; local development falls back with a warning
+ * required: false     - optional; features that need it report it missing when used
+ *
+ * Values are parsed once and cached. server.js calls loadEnvFile() and, in
+ * mock mode, points the upstream URLs at /mock/* before the first config().
+ * LOG_LEVEL and MOCK_BACKEND are read directly by lib/log.js and lib/mock
+ * (both run before the first config()) and only validated here. Reports
+ * never include values, only variable names.
+ */
+
+const fs = require('fs');
+
+// Key the bookings and employees scripts accepted before APP_KEY existed
+const LEGACY_SCRIPT_KEY = 'bookingkey';
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const SCHEMA = [
+    { name: 'GOOGLE_AUTH_SCRIPT_URL', type: 'url', required: true, feature: 'Sign-in', script: 'auth' },
+    { name: 'GOOGLE_MYDAY_SCRIPT_URL', type: 'url', required: true, feature: 'Bookings', script: 'myday' },
+    { name: 'N8N_WEBHOOK_URL', type: 'url', required: true, feature: 'Bookings', key: 'n8nWebhookUrl' },
+    { name: 'GOOGLE_CREATORS_SCRIPT_URL', type: 'url', required: false, feature: 'Reference lists', script: 'creators' },
+    { name: 'GOOGLE_BRANDIP_SCRIPT_URL', type: 'url', required: false, feature: 'Reference lists', script: 'brandip' },
+    { name: 'GOOGLE_ATTENDANCE_SCRIPT_URL', type: 'url', required: false, feature: 'Attendance', script: 'attendance' },
+    { name: 'GOOGLE_ADMIN_DATA_SCRIPT_URL', type: 'url', required: false, feature: 'Admin pages', script: 'adminData' },
+    { name: 'GOOGLE_EMPLOYEES_SCRIPT_URL', type: 'url', required: false, feature: 'Admin pages', script: 'employees' },
+    {
+        name: 'APP_KEY', type: 'secret', required: 'vercel', feature: 'Apps Scripts', key: 'appKey',
+        note: 'Sent to the scripts and n8n; local development falls back to the legacy shared key'
+    },
+    {
+        name: 'SESSION_SECRET', type: 'secret', minLength: 16, required: 'vercel', feature: 'Sessions', key: 'sessionSecret',
+        note: 'Without it local sessions end on every restart'
+    },
+    {
+        name: 'SESSION_TTL_HOURS', type: 'number', min: 0.25, default: 12, feature: 'Sessions', key: 'sessionTtlHours',
+        note: 'Absolute lifetime: a session ends this long after login, however active'
+    },
+    {
+        name: 'SESSION_IDLE_MINUTES', type: 'int', min: 5, default: 30, feature: 'Sessions', key: 'sessionIdleMinutes',
+        note: 'A session ends after this long without activity'
+    },
+    {
+        name: 'SESSION_IDLE_WARNING_SECONDS', type: 'int', min: 15, default: 120, feature: 'Sessions', key: 'sessionIdleWarningSeconds',
+        note: 'How long before the idle logout the warning dialog appears'
+    },
+    {
+        name: 'APP_BASE_URL', type: 'url', required: 'vercel', feature: 'Password reset', key: 'appBaseUrl',
+        note: 'Reset links point at http://localhost:PORT until it is set'
+    },
+    {
+        name: 'MAIL_TRANSPORT', type: 'enum', values: ['n8n', 'file'], required: false, feature: 'Password reset', key: 'mailTransport',
+        note: 'Defaults to n8n, or the local outbox without N8N_WEBHOOK_URL'
+    },
+    { name: 'DATA_DIR', type: 'string', required: false, feature: 'Storage', key: 'dataDir', note: 'Defaults to ./data' },
+    {
+        name: 'METRICS_TOKEN', type: 'secret', minLength: 16, required: false, feature: 'Metrics', key: 'metricsToken',
+        note: 'Bearer token for Prometheus; without it only admins can read /api/metrics'
+    },
+    {
+        name: 'ROLES_FILE', type: 'string', required: false, feature: 'Roles', key: 'rolesFile',
+        note: 'Role and permission definitions; defaults to lib/roles.json'
+    },
+    { name: 'LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info', feature: 'Logging', key: 'logLevel' },
+    { name: 'MAX_BODY_BYTES', type: 'int', min: 1024, default: 100 * 1024, feature: 'API', key: 'maxBodyBytes' },
+    { name: 'BODY_READ_TIMEOUT_SECONDS', type: 'int', min: 1, default: 10, feature: 'API', key: 'bodyReadTimeoutSeconds' },
+    {
+        name: 'TRUST_PROXY', type: 'bool', default: false, feature: 'API', key: 'trustProxy',
+        note: 'Set when server.js runs behind a reverse proxy that sets X-Forwarded-For; always trusted on Vercel'
+    },
+    { name: 'SLOT_LOCK_LEASE_SECONDS', type: 'int', min: 15, default: 90, feature: 'Bookings', key: 'slotLockLeaseSeconds' },
+    { name: 'IDEMPOTENCY_TTL_MINUTES', type: 'int', min: 1, default: 24 * 60, feature: 'Bookings', key: 'idempotencyTtlMinutes' },
+    { name: 'LIST_CACHE_TTL_SECONDS', type: 'int', min: 1, default: 300, feature: 'Reference lists', key: 'listCacheTtlSeconds' },
+    { name: 'LIST_CACHE_STALE_SECONDS', type: 'int', min: 0, default: 3600, feature: 'Reference lists', key: 'listCacheStaleSeconds' },
+    { name: 'PORT', type: 'int', min: 1, default: 3001, feature: 'Dev server', key: 'port' },
+    { name: 'MOCK_BACKEND', type: 'bool', default: false, feature: 'Dev server', key: 'mockBackend' }
+];
+
+/**
+ * Thrown by config() with every problem found
+ */
+class ConfigError extends Error {
+    /**
+     * @param {object[]} problems - [{ name, feature, message }]
+     */
+    constructor(problems) {
+        super(`Invalid configuration: ${problems.map(p => `${p.name} ${p.message}`).join('; ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+let cached = null;   // { config } or { error }
+
+function onVercel() {
+    return Boolean(process.env.VERCEL);
+}
+
+/**
+ * @param {object} entry - SCHEMA entry
+ * @returns {boolean} true when the entry must be set in this environment
+ */
+function isRequired(entry) {
+    return entry.required === true || (entry.required === 'vercel' && onVercel());
+}
+
+/**
+ * Parse one raw value
+ * @param {object} entry - SCHEMA entry
+ * @param {string} raw - non-empty env value
+ * @returns {object} { value } or { problem }
+ */
+function parse(entry, raw) {
+    switch (entry.type) {
+        case 'url': {
+            let url;
+            try {
+                url = new URL(raw);
+            } catch (e) {
+                return { problem: 'must be an absolute http(s) URL' };
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                return { problem: 'must be an absolute http(s) URL' };
+            }
+            return { value: raw };
+        }
+        case 'int':
+        case 'number': {
+            const value = Number(raw);
+            const valid = entry.type === 'int' ? Number.isInteger(value) : Number.isFinite(value);
+            if (!valid || value < entry.min) {
+                return { problem: `must be a ${entry.type === 'int' ? 'whole number' : 'number'} of at least ${entry.min}` };
+            }
+            return { value };
+        }
+        case 'enum': {
+            const value = raw.toLowerCase();
+            return entry.values.includes(value) ? { value } : { problem: `must be one of ${entry.values.join(', ')}` };
+        }
+        case 'bool': {
+            const value = raw.toLowerCase();
+            if (['1', 'true', 'yes'].includes(value)) return { value: true };
+            if (['0', 'false', 'no'].includes(value)) return { value: false };
+            return { problem: 'must be true or false' };
+        }
+        case 'secret':
+            if (entry.minLength && raw.length < entry.minLength) {
+                return { problem: `must be at least ${entry.minLength} characters` };
+            }
+            return { value: raw };
+        default:
+            return { value: raw };
+    }
+}
+
+/**
+ * Parse and check every SCHEMA entry against process.env
+ * @returns {object} frozen config
+ * @throws {ConfigError}
+ */
+function build() {
+    const problems = [];
+    const warnings = [];
+    const values = {};
+
+    SCHEMA.forEach(entry => {
+        const raw = String(process.env[entry.name] ?? '').trim();
+        if (!raw) {
+            if (isRequired(entry)) {
+                problems.push({ name: entry.name, feature: entry.feature, message: 'is required' });
+            } else if (entry.required === 'vercel') {
+                warnings.push({ name: entry.name, feature: entry.feature, message: `is not set. ${entry.note}` });
+            } else if (entry.script) {
+                warnings.push({ name: entry.name, feature: entry.feature, message: `is not set; ${entry.feature} will not work` });
+            }
+            values[entry.name] = entry.default ?? null;
+            return;
+        }
+        const { value, problem } = parse(entry, raw);
+        if (problem) {
+            problems.push({ name: entry.name, feature: entry.feature, message: problem });
+        }
+        values[entry.name] = problem ? null : value;
+    });
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+
+    const config = { warnings };
+    const scripts = {};
+    SCHEMA.forEach(entry => {
+        if (entry.script) scripts[entry.script] = values[entry.name];
+        if (entry.key) config[entry.key] = values[entry.name];
+    });
+    config.scripts = Object.freeze(scripts);
+    config.scriptKey = config.appKey || LEGACY_SCRIPT_KEY;
+    config.mailTransport = config.mailTransport || (config.n8nWebhookUrl ? 'n8n' : 'file');
+    config.vercel = onVercel();
+    config.vercelUrl = process.env.VERCEL_URL || null;
+    return Object.freeze(config);
+}
+
+/**
+ * The validated configuration, parsed on first use
+ * @returns {object} frozen config
+ * @throws {ConfigError} on every call while the env is invalid
+ */
+function config() {
+    if (!cached) {
+        try {
+            cached = { config: build() };
+        } catch (err) {
+            if (!(err instanceof ConfigError)) throw err;
+            cached = { error: err };
+        }
+    }
+    if (cached.error) throw cached.error;
+    return cached.config;
+}
+
+/**
+ * Load KEY=value lines from a .env file into process.env
+ * @param {string} file
+ * @returns {number|null} variables loaded, or null when the file is missing
+ */
+function loadEnvFile(file) {
+    if (!fs.existsSync(file)) return null;
+
+    let count = 0;
+    fs.readFileSync(file, 'utf-8').split('\n').forEach(line => {
+        line = line.trim();
+        if (!line || line.startsWith('#')) return;
+        const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+        if (!match) return;
+        let value = match[2].trim();
+        // Remove quotes if present
+        if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+            value = value.slice(1, -1);
+        }
+        process.env[match[1]] = value;
+        count++;
+    });
+    cached = null;
+    return count;
+}
+
+/**
+ * Readable multi-line report of config problems, grouped by feature
+ * @param {object[]} problems - from ConfigError
+ * @returns {string}
+ */
+function formatReport(problems) {
+    const byFeature = new Map();
+    problems.forEach(problem => {
+        if (!byFeature.has(problem.feature)) byFeature.set(problem.feature, []);
+        byFeature.get(problem.feature).push(`    ${problem.name} ${problem.message}`);
+    });
+    const sections = [...byFeature.entries()].map(([feature, lines]) => `  ${feature}:\n${lines.join('\n')}`);
+    return `Configuration is invalid - fix these env vars (in .env.local or the Vercel project settings):\n${sections.join('\n')}\n`;
+}
+
+/**
+ * @returns {object[]} [{ name, feature, configured, required, note }] - never the values
+ */
+function envReport() {
+    return SCHEMA.filter(entry => entry.required !== undefined).map(entry => ({
+        name: entry.name,
+        feature: entry.feature,
+        configured: Boolean(String(process.env[entry.name] ?? '').trim()),
+        required: isRequired(entry),
+        ...(entry.note ? { note: entry.note } : {})
+    }));
+}
+
+module.exports = { SCHEMA, ConfigError, config, loadEnvFile, formatReport, envReport };
@@ -0,0 +1,41 @@
+/**
+ * lib/cors.js - CORS headers shared by every API route
+ */
+
+const { config } = require('./config');
+
+/**
+ * Origins allowed to call the API with credentials
+ * @returns {string[]}
+ */
+function allowedOrigins() {
+    return [
+        'http://localhost:3000',
+        'http://localhost:3001',
+        `http://localhost:${config().port}`,
+        config().vercelUrl ? `https://${config().vercelUrl}` : null,
+        'https://slot-booking-three-xi.vercel.app'
+    ].filter(Boolean);
+}
+
+/**
+ * Build CORS headers for a request
+ * @param {object} request - handler request
+ * @param {string[]} methods - methods the route accepts
+ * @returns {object} headers
+ */
+function corsHeaders(request, methods) {
+    const origin = request.headers.origin || request.headers.referer?.split('/').slice(0, 3).join('/');
+    const headers = {
+        'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+        'Access-Control-Allow-Headers': 'Content-Type, x-app-key, x-request-id',
+        'Access-Control-Allow-Credentials': 'true'
+    };
+    if (origin && allowedOrigins().includes(origin)) {
+        headers['Access-Control-Allow-Origin'] = origin;
+        headers['Vary'] = 'Origin';
+    }
+    return headers;
+}
+
+module.exports = { corsHeaders, allowedOrigins };
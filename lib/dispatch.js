@@ -0,0 +1,141 @@
+/**
+ * lib/dispatch.js - Runs a route definition against a Node/Vercel request
+ *
+ * A route is { methods: ['GET', ...], handle(request) => response }.
+ * CORS, OPTIONS, 405 and error-to-JSON mapping live here so every adapter
+ * behaves the same way. Every response also names the upstreams whose
+ * circuit breaker is open (X-Degraded-Services) for the browser's banner.
+ *
+ * Each request runs under a correlation ID (lib/log.js), echoed back as
+ * X-Request-Id and logged once it completes, and is counted per route,
+ * method and status for /api/metrics.
+ *
+ * Request bodies are read by lib/http.js within the MAX_BODY_BYTES and
+ * BODY_READ_TIMEOUT_SECONDS limits, the same on Vercel as under server.js.
+ *
+ * The session owner's revocation time (lib/session-revocations.js) is
+ * brought up to date before the route runs, so verifySession() sees
+ * sessions ended on another instance.
+ *
+ * While the env or the role file is invalid (lib/config.js, lib/roles.js)
+ * every request gets a 500 config_invalid and the problems are logged, so a
+ * bad deploy is obvious from its first request.
+ */
+
+const { HttpError, error, toRequest, send } = require('./http');
+const { corsHeaders } = require('./cors');
+const { degraded } = require('./upstream');
+const { log, requestIdFrom, withRequestId } = require('./log');
+const metrics = require('./metrics');
+const { config, ConfigError } = require('./config');
+const { roleModel } = require('./roles');
+const { refreshSessionRevocation } = require('./session');
+
+const NO_STORE = 'no-store, no-cache, must-revalidate, max-age=0';
+
+const requestsTotal = metrics.counter('http_requests_total', 'API requests by route, method and status');
+const requestSeconds = metrics.histogram('http_request_duration_seconds', 'API request latency by route and method');
+
+/**
+ * Run a route for a request and produce a response
+ * @param {object} route
+ * @param {object} request - handler request
+ * @returns {Promise<object>} response
+ */
+async function runRoute(route, request) {
+    if (request.method === 'OPTIONS') {
+        return { status: 200, headers: {} };
+    }
+
+    if (!route.methods.includes(request.method)) {
+        return error(405, `Method not allowed. Use ${route.methods.join(' or ')}.`);
+    }
+
+    try {
+        return await route.handle(request);
+    } catch (err) {
+        if (err instanceof HttpError) {
+            return error(err.status, err.message, err.extra);
+        }
+        log.error('Unhandled API error', { method: request.method, path: request.path, err });
+        return error(500, err.message || 'Internal server error');
+    }
+}
+
+/**
+ * Handle a Node/Vercel request with a route and write the response
+ * @param {object} route
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @returns {Promise<void>}
+ */
+function dispatch(route, req, res) {
+    const requestId = requestIdFrom(req.headers);
+    return withRequestId(requestId, () => run(route, req, res, requestId));
+}
+
+/**
+ * @returns {object|null} 500 response when the env is invalid
+ */
+function configFailure() {
+    try {
+        config();
+        roleModel();
+        return null;
+    } catch (err) {
+        if (!(err instanceof ConfigError)) throw err;
+        log.error('Invalid configuration', { problems: err.problems.map(p => `${p.name} ${p.message}`) });
+        return error(500, 'Server configuration error. See the server log.', { code: 'config_invalid' });
+    }
+}
+
+async function run(route, req, res, requestId) {
+    const startTime = Date.now();
+    const misconfigured = configFailure();
+    if (misconfigured) {
+        misconfigured.headers = { 'Cache-Control': NO_STORE, 'X-Request-Id': requestId };
+        send(res, misconfigured);
+        return;
+    }
+
+    let request;
+    let response;
+    try {
+        request = await toRequest(req);
+        await refreshSessionRevocation(request);
+        response = await runRoute(route, request);
+    } catch (err) {
+        response = err instanceof HttpError
+            ? error(err.status, err.message, err.extra)
+            : error(500, err.message || 'Internal server error');
+        if (!request) {
+            // The body was refused part-way (415/413/408), so the connection cannot be reused
+            response.headers.Connection = 'close';
+            request = { headers: req.headers };
+        }
+    }
+
+    response.headers = {
+        ...corsHeaders(request, route.methods),
+        'Cache-Control': NO_STORE,
+        ...response.headers,
+        'X-Request-Id': requestId
+    };
+    const down = degraded();
+    if (down.length > 0) {
+        response.headers['X-Degraded-Services'] = down.map(upstream => upstream.label).join(', ');
+    }
+    send(res, response);
+
+    const path = request.path || req.url.split('?')[0];
+    const durationMs = Date.now() - startTime;
+    const level = response.status >= 500 ? 'error' : (response.status >= 400 ? 'warn' : 'info');
+    log[level]('request', { method: req.method, path, status: response.status, durationMs });
+
+    // Methods outside the route's own are one series, whatever the client sent
+    const method = route.methods.includes(req.method) || req.method === 'OPTIONS' ? req.method : 'other';
+    requestsTotal.inc({ route: path, method, status: response.status });
+    requestSeconds.observe({ route: path, method }, durationMs / 1000);
+}
+
+module.exports = { dispatch, runRoute };
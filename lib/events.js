@@ -0,0 +1,69 @@
+/**
+ * lib/events.js - Booking change events for /api/events
+ *
+ * /api/n8n publishes an event whenever it forwards a mutation that n8n
+ * accepted; the SSE handler relays them to every open stream. Events carry
+ * only what a page needs to decide whether to reload ({ type, bookingId,
+ * dateKey, at }), never the booking itself.
+ *
+ * Nothing is stored: a client that reconnects reloads its data once instead
+ * of replaying what it missed. Events only travel within one process, so
+ * live updates need server.js, where /api/n8n and /api/events share it. On
+ * Vercel they are separate functions, so /api/events is switched off there
+ * and the pages poll instead (/api/config live_events).
+ */
+
+const { EventEmitter } = require('events');
+
+// n8n action -> event type
+const BOOKING_EVENTS = {
+    booking_submit: 'booking.created',
+    pro_or_post: 'booking.created',
+    update_booking: 'booking.updated',
+    delete_booking: 'booking.deleted',
+    free: 'booking.freed',
+    booking_complete: 'booking.completed'
+};
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let lastId = 0;
+
+/**
+ * Publish an event to every subscriber
+ * @param {string} type - e.g. 'booking.created'
+ * @param {object} data
+ * @returns {object} the event, with its id
+ */
+function publish(type, data) {
+    const event = { id: ++lastId, type, ...data, at: new Date().toISOString() };
+    emitter.emit('event', event);
+    return event;
+}
+
+/**
+ * Publish the event for a successful n8n mutation, if the action has one
+ * @param {object} payload - the forwarded payload
+ * @param {object} result - parsed n8n response body
+ * @returns {object|null} the event
+ */
+function publishBookingChange(payload, result) {
+    const type = BOOKING_EVENTS[payload.action];
+    if (!type) return null;
+
+    const bookingId = result?.bookingId || result?.['Booking ID'] ||
+        payload.booking?.bookingId || payload.bookingData?.bookingId || null;
+    return publish(type, { bookingId, dateKey: payload.dateKey || null });
+}
+
+/**
+ * @param {function(object): void} listener
+ * @returns {function(): void} unsubscribe
+ */
+function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+module.exports = { BOOKING_EVENTS, publish, publishBookingChange, subscribe };
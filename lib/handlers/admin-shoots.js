@@ -0,0 +1,55 @@
+/**
+ * lib/handlers/admin-shoots.js - GET /api/admin-shoots
+ *
+ * Proxies the admin data Apps Script, passing the query string through
+ * (e.g. ?action=list&date=2026-02-27). lib/upstream.js follows the redirect
+ * to googleusercontent.com that Apps Script answers with.
+ *
+ * Needs shoots.view. The Live board (live.view) asks for one day at a time,
+ * today to the day after tomorrow, so live.view alone is enough for a single
+ * ?date= within LIVE_DAYS of today (IST; a day either side covers browser
+ * clocks in other zones).
+ */
+
+const { HttpError } = require('../http');
+const { requireSession } = require('../session');
+const { can, requirePermission } = require('../roles');
+const { scriptUrl } = require('../apps-script');
+const upstream = require('../upstream');
+const { log } = require('../log');
+
+const LIVE_DAYS = { from: -1, to: 3 };
+
+function istDateKey(offset) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(new Date(Date.now() + offset * 86400000));
+}
+
+/**
+ * @param {object} query
+ * @returns {boolean} true for a single date the Live board shows
+ */
+function isLiveQuery(query) {
+    const { date, from_date: fromDate, to_date: toDate } = query;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || fromDate || toDate) return false;
+    return date >= istDateKey(LIVE_DAYS.from) && date <= istDateKey(LIVE_DAYS.to);
+}
+
+async function handle(request) {
+    const session = requireSession(request);
+    if (!(can(session, 'live.view') && isLiveQuery(request.query || {}))) {
+        requirePermission(request, 'shoots.view');
+    }
+
+    const response = await upstream.request('adminData', scriptUrl('adminData') + (request.search || ''), {
+        headers: { 'User-Agent': 'CreativeFuel-Booking-App/1.0' }
+    });
+    if (!response.ok) {
+        log.error('Admin shoots script error', { status: response.status });
+        throw new HttpError(502, `Proxy failed: HTTP ${response.status}`);
+    }
+    return { status: response.status, headers: { 'Content-Type': 'application/json' }, body: response.text };
+}
+
+module.exports = { methods: ['GET'], handle };
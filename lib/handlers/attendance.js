@@ -0,0 +1,126 @@
+/**
+ * lib/handlers/attendance.js - GET/POST /api/attendance
+ *
+ * GET  ?action=read&employee=...       - one employee's attendance
+ * GET  ?action=read_all&from=...&to=... - everyone's attendance in a range
+ * POST { action: write|update, date, employee, attendance, key? }
+ *
+ * Reading needs attendance.view and writing attendance.mark (lib/roles.js).
+ * Without attendance.any users can only read and write their own
+ * attendance: `employee` is taken from the session, naming someone else is
+ * refused with 403, and so is read_all. Writes are recorded in the audit
+ * trail (lib/audit.js).
+ */
+
+const { HttpError, json } = require('../http');
+const { can, requirePermission } = require('../roles');
+const { sameName } = require('../bookings');
+const { scriptUrl } = require('../apps-script');
+const upstream = require('../upstream');
+const { log } = require('../log');
+const audit = require('../audit');
+
+/**
+ * Relay an Apps Script response, keeping its status
+ * @param {object} gasRes - from upstream.request()
+ * @returns {object} response
+ */
+function relay(gasRes) {
+    const { text } = gasRes;
+    if (!gasRes.ok) {
+        log.error('Attendance script error', { status: gasRes.status });
+        return json(gasRes.status, {
+            ok: false,
+            message: `Google Apps Script error: ${gasRes.status}`,
+            error: text
+        });
+    }
+    try {
+        return json(200, JSON.parse(text));
+    } catch (e) {
+        return json(200, { ok: true, message: text });
+    }
+}
+
+/**
+ * The employee a request is about
+ * @param {object} session
+ * @param {string} [requested] - employee named by the client
+ * @returns {string|undefined} requested with attendance.any, else the caller
+ * @throws {HttpError} 403 when someone else is named without attendance.any
+ */
+function targetEmployee(session, requested) {
+    if (can(session, 'attendance.any')) return requested;
+    if (requested && !sameName(requested, session.name)) {
+        throw new HttpError(403, 'You can only see and mark your own attendance.', { code: 'forbidden', permission: 'attendance.any' });
+    }
+    return session.name;
+}
+
+async function read(request, session) {
+    const action = (request.query.action || 'read').toLowerCase();
+    const { from, to } = request.query;
+    const employee = targetEmployee(session, request.query.employee);
+
+    let params;
+    if (action === 'read') {
+        if (!employee) {
+            throw new HttpError(400, 'Missing employee parameter for read action');
+        }
+        params = `action=read&employee=${encodeURIComponent(employee)}`;
+    } else if (action === 'read_all') {
+        if (!can(session, 'attendance.any')) {
+            throw new HttpError(403, 'You cannot read everyone\'s attendance.', { code: 'forbidden', permission: 'attendance.any' });
+        }
+        if (!from || !to) {
+            throw new HttpError(400, `Missing from and to parameters for read_all action. Received: from="${from}", to="${to}"`);
+        }
+        params = `action=read_all&from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`;
+    } else {
+        throw new HttpError(400, 'Invalid action. Use action=read or action=read_all');
+    }
+    const readUrl = `${scriptUrl('attendance')}?${params}`;
+    return relay(await upstream.request('attendance', readUrl));
+}
+
+async function write(request, session) {
+    const body = request.body || {};
+    const { action, date, attendance } = body;
+    const employee = targetEmployee(session, body.employee);
+    // The row key is derived from the (possibly replaced) employee for non-admins
+    const key = can(session, 'attendance.any') ? body.key : undefined;
+    if (!action || (action !== 'write' && action !== 'update') || !date || !employee || !attendance) {
+        throw new HttpError(400, 'Missing required fields: action (write/update), date, employee, attendance');
+    }
+    const gasUrl = scriptUrl('attendance');
+
+    const entry = { action: `attendance_${action}`, details: { employee, date, attendance: String(attendance) } };
+    let gasRes;
+    try {
+        gasRes = await upstream.request('attendance', gasUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                action,
+                date,
+                employee,
+                attendance,
+                key: key || `${date}${employee}`
+            })
+        });
+    } catch (err) {
+        await audit.record(session, { ...entry, outcome: 'failed', status: err.status || 500 });
+        throw err;
+    }
+    await audit.record(session, { ...entry, outcome: gasRes.ok ? 'done' : 'failed', status: gasRes.status });
+    return relay(gasRes);
+}
+
+async function handle(request) {
+    if (request.method === 'GET') {
+        return read(request, requirePermission(request, 'attendance.view'));
+    }
+    return write(request, requirePermission(request, 'attendance.mark'));
+}
+
+module.exports = { methods: ['GET', 'POST'], handle };
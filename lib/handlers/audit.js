@@ -0,0 +1,44 @@
+/**
+ * lib/handlers/audit.js - GET /api/audit (audit.view)
+ *
+ * Searches the audit trail (lib/audit.js), newest first.
+ *
+ * ?person=    - part of the actor's name or email, onBehalfOf, employee or email
+ * ?bookingId= - exact booking ID
+ * ?action=    - e.g. delete_booking
+ * ?from=&to=  - ISO timestamps bounding the record time
+ */
+
+const { HttpError, json } = require('../http');
+const { requirePermission } = require('../roles');
+const { searchAudit } = require('../audit');
+
+/**
+ * @param {string} value
+ * @param {string} name - query parameter, for the error message
+ * @returns {string|undefined} normalized ISO timestamp
+ */
+function timestamp(value, name) {
+    if (!value) return undefined;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new HttpError(400, `Invalid ${name}: use an ISO date or timestamp`);
+    }
+    return date.toISOString();
+}
+
+async function handle(request) {
+    requirePermission(request, 'audit.view');
+
+    const { person, bookingId, action } = request.query;
+    const { records, truncated } = await searchAudit({
+        person,
+        bookingId,
+        action,
+        from: timestamp(request.query.from, 'from'),
+        to: timestamp(request.query.to, 'to')
+    });
+    return json(200, { ok: true, records, truncated });
+}
+
+module.exports = { methods: ['GET'], handle };
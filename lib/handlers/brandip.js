@@ -0,0 +1,24 @@
+/**
+ * lib/handlers/brandip.js - GET /api/brandip?type=...
+ *
+ * Proxies the brand/IP list Apps Script: { ok, names: [...] }. Besides
+ * brands and IPs it holds the Pre/Post campaign and stage lists. Cached by
+ * lib/list-cache.js.
+ */
+
+const { HttpError } = require('../http');
+const { requireSession } = require('../session');
+const { getList } = require('../list-cache');
+
+const TYPES = ['Brand', 'IP', 'Campaign', 'Pre-Production', 'Post-Production'];
+
+async function handle(request) {
+    requireSession(request);
+    const type = TYPES.find(t => t.toLowerCase() === String(request.query.type || '').toLowerCase());
+    if (!type) {
+        throw new HttpError(400, `Use ?type= with one of: ${TYPES.join(', ')}`);
+    }
+    return getList(type);
+}
+
+module.exports = { methods: ['GET'], handle };
@@ -0,0 +1,22 @@
+/**
+ * lib/handlers/config.js - GET /api/config
+ *
+ * Non-secret settings the frontend may read at runtime. Upstream URLs and
+ * keys never appear here: the browser reaches the Apps Scripts only through
+ * the /api/* proxies.
+ */
+
+const { json } = require('../http');
+const { leaseSeconds } = require('../slot-locks');
+const { config } = require('../config');
+
+async function handle() {
+    return json(200, {
+        ok: true,
+        slot_lock_lease_seconds: leaseSeconds(),
+        // /api/events only works under server.js (lib/events.js)
+        live_events: !config().vercel
+    });
+}
+
+module.exports = { methods: ['GET'], handle };
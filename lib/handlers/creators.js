@@ -0,0 +1,16 @@
+/**
+ * lib/handlers/creators.js - GET /api/creators
+ *
+ * Proxies the creators Apps Script: { ok, names: [...] }, cached by
+ * lib/list-cache.js
+ */
+
+const { requireSession } = require('../session');
+const { getList } = require('../list-cache');
+
+async function handle(request) {
+    requireSession(request);
+    return getList('creators');
+}
+
+module.exports = { methods: ['GET'], handle };
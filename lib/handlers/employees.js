@@ -0,0 +1,15 @@
+/**
+ * lib/handlers/employees.js - GET /api/employees (employees.view)
+ *
+ * Proxies the employees Apps Script; the shared key stays on the server
+ */
+
+const { requirePermission } = require('../roles');
+const { getScript, scriptKey } = require('../apps-script');
+
+async function handle(request) {
+    requirePermission(request, 'employees.view');
+    return getScript('employees', { key: scriptKey() });
+}
+
+module.exports = { methods: ['GET'], handle };
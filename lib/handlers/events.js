@@ -0,0 +1,66 @@
+/**
+ * lib/handlers/events.js - GET /api/events
+ *
+ * Server-Sent Events stream of booking changes (lib/events.js) for the Live,
+ * Today's Shoots, Tomorrow Shoots and My Day pages. Each change is sent as
+ *
+ *   event: booking
+ *   id: 12
+ *   data: {"id":12,"type":"booking.created","bookingId":"CF00004","dateKey":"2026-10-20","at":"..."}
+ *
+ * with a comment line every HEARTBEAT_MS so proxies keep the connection
+ * open. The stream ends when the session expires or goes idle; the browser
+ * then reconnects (and is refused once the session is gone).
+ *
+ * Only served by server.js: on Vercel this function never sees the events
+ * /api/n8n publishes (lib/events.js), so it answers 501 events_unavailable.
+ */
+
+const { HttpError } = require('../http');
+const { requireSession, sessionTimes } = require('../session');
+const { subscribe } = require('../events');
+const { config } = require('../config');
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+/**
+ * @param {object} event
+ * @returns {string} one SSE message
+ */
+function format(event) {
+    return `event: booking\nid: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+async function handle(request) {
+    const session = requireSession(request);
+    if (config().vercel) {
+        throw new HttpError(501, 'Live updates are not available on this deployment', { code: 'events_unavailable' });
+    }
+    // idleExpiresAt is never later than the absolute expiry
+    const lifetime = Date.parse(sessionTimes(session).idleExpiresAt) - Date.now();
+
+    return {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        },
+        stream(res) {
+            res.write(`retry: ${RETRY_MS}\n: connected\n\n`);
+
+            const unsubscribe = subscribe(event => res.write(format(event)));
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+            const deadline = setTimeout(() => res.end(), lifetime);
+
+            res.on('close', () => {
+                unsubscribe();
+                clearInterval(heartbeat);
+                clearTimeout(deadline);
+            });
+        }
+    };
+}
+
+module.exports = { methods: ['GET'], handle };
@@ -0,0 +1,29 @@
+/**
+ * lib/handlers/google-script.js - GET /api/google-script?employee=...&role=...
+ *
+ * Proxies the My Day bookings Apps Script for one employee. Without the
+ * myday.view_any permission users always get their own bookings.
+ */
+
+const { HttpError } = require('../http');
+const { requireSession } = require('../session');
+const { can } = require('../roles');
+const { getScript, scriptKey } = require('../apps-script');
+
+async function handle(request) {
+    const session = requireSession(request);
+    const employee = can(session, 'myday.view_any') ? request.query.employee : session.name;
+    if (!employee) {
+        throw new HttpError(400, 'Missing employee parameter');
+    }
+
+    // The script reads `employee` (older deployments `name`)
+    return getScript('myday', {
+        employee,
+        name: employee,
+        role: request.query.role,
+        key: scriptKey()
+    });
+}
+
+module.exports = { methods: ['GET'], handle };
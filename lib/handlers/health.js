@@ -0,0 +1,36 @@
+/**
+ * lib/handlers/health.js - GET /api/health
+ *
+ * GET                - liveness: 200 while the process serves requests
+ * GET ?check=ready   - readiness: 200 ready|degraded, 503 not_ready
+ *
+ * Anyone may ask (load balancers and uptime monitors have no session), but
+ * only users with status.view get the env var report and per-upstream probe
+ * results (lib/health.js); everyone else sees the overall status.
+ */
+
+const { HttpError, json } = require('../http');
+const { getSession } = require('../session');
+const { can } = require('../roles');
+const { liveness, readiness } = require('../health');
+
+async function handle(request) {
+    const check = request.query.check || 'live';
+
+    if (check === 'live') {
+        return json(200, { ok: true, ...liveness() });
+    }
+    if (check !== 'ready') {
+        throw new HttpError(400, 'Use ?check=live or ?check=ready');
+    }
+
+    const report = await readiness();
+    const status = report.ready ? 200 : 503;
+    const session = getSession(request);
+    if (can(session, 'status.view')) {
+        return json(status, { ok: report.ready, ...liveness(), ...report });
+    }
+    return json(status, { ok: report.ready, status: report.status, checkedAt: report.checkedAt });
+}
+
+module.exports = { methods: ['GET'], handle };
@@ -0,0 +1,23 @@
+/**
+ * lib/handlers/lists.js - /api/lists (status.view)
+ *
+ * GET  - cache state of the reference lists (lib/list-cache.js)
+ * POST - reload every list now ("refresh lists")
+ */
+
+const { json } = require('../http');
+const { requirePermission } = require('../roles');
+const { listStatus, refreshAll, cacheSettings } = require('../list-cache');
+
+async function handle(request) {
+    requirePermission(request, 'status.view');
+
+    if (request.method === 'POST') {
+        const { refreshed, failed } = await refreshAll();
+        return json(200, { ok: failed.length === 0, refreshed, failed, lists: listStatus() });
+    }
+
+    return json(200, { ok: true, ...cacheSettings(), lists: listStatus() });
+}
+
+module.exports = { methods: ['GET', 'POST'], handle };
@@ -0,0 +1,29 @@
+/**
+ * lib/handlers/lockouts.js - /api/lockouts (lockouts.manage)
+ *
+ * GET                        - active login lockouts and lockout history
+ * DELETE ?type=email&value=  - lift an active lockout (audited)
+ */
+
+const { HttpError, json } = require('../http');
+const { requirePermission } = require('../roles');
+const { listLockouts, clearLockout } = require('../throttle');
+const audit = require('../audit');
+
+async function handle(request) {
+    const session = requirePermission(request, 'lockouts.manage');
+
+    if (request.method === 'DELETE') {
+        const { type, value } = request.query;
+        if (!['email', 'ip'].includes(type) || !value) {
+            throw new HttpError(400, 'Use ?type=email|ip&value=...');
+        }
+        const cleared = await clearLockout(type, value);
+        await audit.record(session, { action: 'lockout_clear', details: { [type]: value }, outcome: cleared ? 'done' : 'noop', status: 200 });
+        return json(200, { ok: true, cleared });
+    }
+
+    return json(200, { ok: true, ...(await listLockouts()) });
+}
+
+module.exports = { methods: ['GET', 'DELETE'], handle };
@@ -0,0 +1,77 @@
+/**
+ * lib/handlers/login.js - POST /api/login
+ *
+ * Loads the user from the auth Google Apps Script and verifies the password
+ * here (lib/password.js). Users still on a legacy SHA-256 hash are upgraded
+ * to scrypt after a successful login. On success a signed session cookie is
+ * issued and { ok, user: { email, name, role, permissions, pages }, session }
+ * is returned (lib/roles.js; `session` says when it ends, lib/session.js).
+ *
+ * Attempts are throttled per email and per IP (lib/throttle.js). Unknown
+ * emails and wrong passwords get the same response.
+ */
+
+const { HttpError, json } = require('../http');
+const { createSession, verifySession, sessionTimes, sessionCookie } = require('../session');
+const { describeUser } = require('../roles');
+const { hashPassword, verifyPassword } = require('../password');
+const { getUser, setPasswordHash } = require('../users');
+const { reserveLoginAttempt, releaseLoginAttempt, recordLoginFailure, recordLoginSuccess } = require('../throttle');
+const { log } = require('../log');
+
+const INVALID_CREDENTIALS = 'Invalid email or password';
+
+/**
+ * Upgrade a stored hash; a failure must not block the login itself
+ * @param {string} email
+ * @param {string} password
+ */
+async function upgradeHash(email, password) {
+    try {
+        await setPasswordHash(email, await hashPassword(password));
+        log.info('Upgraded password hash to scrypt');
+    } catch (err) {
+        log.error('Password hash upgrade failed', { err });
+    }
+}
+
+async function handle(request) {
+    const body = request.body || {};
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    const password = body.password;
+    if (!email || !password || typeof password !== 'string') {
+        throw new HttpError(400, 'Missing email or password');
+    }
+
+    const attempt = await reserveLoginAttempt(email, request.ip);
+
+    let user, ok, needsRehash;
+    try {
+        user = await getUser(email);
+        ({ ok, needsRehash } = await verifyPassword(password, user?.password_hash));
+    } catch (err) {
+        await releaseLoginAttempt(attempt);
+        throw err;
+    }
+    if (!user || !ok) {
+        await recordLoginFailure(attempt);
+        throw new HttpError(401, INVALID_CREDENTIALS);
+    }
+    await recordLoginSuccess(email, attempt);
+
+    if (needsRehash) {
+        await upgradeHash(email, password);
+    }
+
+    const sessionUser = {
+        email: user.email || email,
+        name: user.name,
+        role: user.role
+    };
+    const token = createSession(sessionUser);
+    return json(200, { ok: true, user: describeUser(sessionUser), session: sessionTimes(verifySession(token)) }, {
+        'Set-Cookie': sessionCookie(request, token)
+    });
+}
+
+module.exports = { methods: ['POST'], handle };
@@ -0,0 +1,55 @@
+/**
+ * lib/handlers/metrics.js - GET /api/metrics
+ *
+ * Request counts and latencies per route, n8n action and upstream, conflict
+ * answers and slot lock contention, in the Prometheus text format
+ * (lib/metrics.js).
+ *
+ * Prometheus authenticates with METRICS_TOKEN as a bearer token:
+ *
+ *   authorization: { type: Bearer, credentials: <METRICS_TOKEN> }
+ *
+ * Signed-in users with metrics.view (admins) can also read it. Without
+ * METRICS_TOKEN only they can.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('../http');
+const { getSession } = require('../session');
+const { can } = require('../roles');
+const { render } = require('../metrics');
+const { config } = require('../config');
+
+/**
+ * @param {object} request
+ * @returns {boolean} true when the request carries METRICS_TOKEN
+ */
+function hasToken(request) {
+    const expected = config().metricsToken;
+    const match = /^Bearer\s+(.+)$/i.exec(request.headers.authorization || '');
+    if (!expected || !match) return false;
+
+    const given = Buffer.from(match[1].trim());
+    const wanted = Buffer.from(expected);
+    return given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+}
+
+async function handle(request) {
+    if (!hasToken(request)) {
+        const session = getSession(request);
+        if (!session) {
+            throw new HttpError(401, 'Send METRICS_TOKEN as a bearer token, or sign in as an admin.');
+        }
+        if (!can(session, 'metrics.view')) {
+            throw new HttpError(403, 'You do not have access to this.', { code: 'forbidden', permission: 'metrics.view' });
+        }
+    }
+
+    return {
+        status: 200,
+        headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+        body: render()
+    };
+}
+
+module.exports = { methods: ['GET'], handle };
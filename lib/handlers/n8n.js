@@ -0,0 +1,276 @@
+/**
+ * lib/handlers/n8n.js - POST /api/n8n
+ *
+ * Forwards booking actions to the n8n webhook. The client's request_id is
+ * sent as x-request-id and must be echoed back unchanged by n8n; repeats of
+ * a request_id are answered from lib/idempotency.js instead of n8n. The
+ * browser sends the same ID as its x-request-id header, so it is also the
+ * correlation ID of the request's log entries.
+ *
+ * Every payload is validated against its action schema (lib/schemas.js) and
+ * checked against the action policy in lib/policy.js, then its `user` block
+ * is replaced with the verified session user; the client's copy is ignored.
+ *
+ * booking_submit and pro_or_post must carry the lockId of the caller's lease
+ * on the slot (lib/slot-locks.js). n8n keeps a lock of its own, and its
+ * { key: 'Ongoing Booking' } answer to booking_lock is relayed as 409
+ * slot_locked, the same answer a held lease gets, so the page waits and
+ * asks again. The lease is released once n8n accepts
+ * the booking and kept when n8n reports a conflict, so the user can adjust
+ * their selection and retry.
+ *
+ * Each booking mutation that n8n accepts is published to /api/events
+ * (lib/events.js) so open schedule pages refresh, and every mutation is
+ * recorded in the audit trail (lib/audit.js) with its outcome. Every
+ * forward is counted and timed per action and outcome for /api/metrics.
+ */
+
+const { HttpError, json } = require('../http');
+const { requireSession } = require('../session');
+const { can } = require('../roles');
+const upstream = require('../upstream');
+const { log } = require('../log');
+const { config } = require('../config');
+const { authorize } = require('../policy');
+const { assertValidPayload } = require('../schemas');
+const { once } = require('../idempotency');
+const slotLocks = require('../slot-locks');
+const { publishBookingChange } = require('../events');
+const { recordN8nAction } = require('../audit');
+const metrics = require('../metrics');
+
+const LEASED_ACTIONS = ['booking_submit', 'pro_or_post'];
+// Seconds the page waits before asking again while n8n holds the slot
+const ONGOING_RETRY_SECONDS = 5;
+const N8N_TIMEOUT_MS = 30000;
+
+// outcome: ok, conflict (people already booked), ongoing_booking or error
+const actionsTotal = metrics.counter('n8n_actions_total', 'Actions forwarded to n8n by action and outcome');
+const actionSeconds = metrics.histogram('n8n_action_duration_seconds', 'n8n response time by action');
+
+/**
+ * Replace client-supplied identity in a payload with the session user.
+ * Admins booking for someone else send `onBehalfOf` with that creator's name.
+ * @param {object} payload
+ * @param {object} session
+ * @returns {object} payload to forward
+ */
+function stampUser(payload, session) {
+    const { onBehalfOf, ...rest } = payload;
+    const user = { name: session.name, role: session.role, email: session.email };
+
+    // authorize() has already limited onBehalfOf to bookings.on_behalf
+    if (onBehalfOf) {
+        user.name = String(onBehalfOf).trim();
+    }
+
+    if (rest.attendance && typeof rest.attendance === 'object' && !can(session, 'attendance.any')) {
+        rest.attendance = { ...rest.attendance, employee: session.name };
+    }
+
+    return { ...rest, user };
+}
+
+/**
+ * POST a payload to the n8n webhook and relay its answer
+ * @param {object} payload - stamped payload
+ * @returns {Promise<object>} response
+ */
+async function forward(payload) {
+    const request_id = payload.request_id || '';
+    const startTime = Date.now();
+
+    const { n8nWebhookUrl, appKey } = config();
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'x-request-id': request_id
+    };
+    if (appKey) {
+        headers['x-app-key'] = appKey;
+    }
+
+    // Mutations are never retried here; the client retries with the same request_id
+    let response;
+    try {
+        response = await upstream.request('n8n', n8nWebhookUrl, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(payload),
+            timeoutMs: N8N_TIMEOUT_MS
+        });
+    } catch (err) {
+        actionSeconds.observe({ action: payload.action }, (Date.now() - startTime) / 1000);
+        actionsTotal.inc({ action: payload.action, outcome: 'error' });
+        log.error('n8n request failed', { action: payload.action, request_id, durationMs: Date.now() - startTime, err });
+        err.extra = { ...err.extra, request_id };
+        throw err;
+    }
+
+    let responseData;
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+        try {
+            responseData = JSON.parse(response.text);
+        } catch (parseError) {
+            log.error('Failed to parse n8n response', { err: parseError });
+            responseData = { message: 'Invalid response format from webhook' };
+        }
+    } else {
+        responseData = { message: response.text };
+    }
+    actionSeconds.observe({ action: payload.action }, (Date.now() - startTime) / 1000);
+    actionsTotal.inc({ action: payload.action, outcome: outcomeOf(response.status, responseData) });
+
+    // Verify request_id if present in response
+    if (responseData.request_id && responseData.request_id !== request_id) {
+        log.error('Idempotency key mismatch', { request_id, returned: responseData.request_id });
+        throw new HttpError(500, 'Idempotency key mismatch', { request_id });
+    }
+
+    log.info('n8n answered', { action: payload.action, request_id, status: response.status, durationMs: Date.now() - startTime });
+    if (response.ok && isOngoingBooking(responseData)) {
+        // Thrown, not returned: lib/idempotency.js must not store it, or the
+        // page's retry with the same request_id would only get it replayed
+        throw new HttpError(409, 'Someone else is booking this slot.', { code: 'slot_locked', retryAfter: ONGOING_RETRY_SECONDS });
+    }
+    return json(response.status, responseData);
+}
+
+/**
+ * Forward a booking that needs the caller's lease on its slot
+ * @param {object} payload - stamped payload, including lockId
+ * @param {object} session
+ * @returns {Promise<object>} response
+ * @throws {HttpError} 409 lock_required when the lease is missing or expired
+ */
+async function forwardLeased(payload, session) {
+    const { lockId, ...rest } = payload;
+    await slotLocks.assertHolds(session, lockId, payload);
+
+    const response = await forward(rest);
+    if (succeeded(response)) {
+        // The booking went through; a lease left behind simply expires
+        await slotLocks.release(session, lockId)
+            .catch(err => log.error('Could not release the slot lease', { err }));
+    }
+    return response;
+}
+
+/**
+ * n8n answers a clash with 200 { message: ["Name: 10:00, 12:00 | ..."] },
+ * sometimes wrapped in an array
+ * @param {*} body - parsed response body
+ * @returns {boolean}
+ */
+function isConflict(body) {
+    if (Array.isArray(body)) return !!(body[0] && body[0].message);
+    return !!body && Array.isArray(body.message) && body.message.length > 0;
+}
+
+/**
+ * n8n still answers booking_lock with { key: 'Ongoing Booking' } while its
+ * own lock on the slot is held
+ * @param {*} body - parsed response body
+ * @returns {boolean}
+ */
+function isOngoingBooking(body) {
+    const first = Array.isArray(body) ? body[0] : body;
+    return !!first && first.key === 'Ongoing Booking';
+}
+
+/**
+ * Metrics outcome of an n8n answer
+ * @param {number} status
+ * @param {*} body - parsed response body
+ * @returns {string} ok, conflict, ongoing_booking or error
+ */
+function outcomeOf(status, body) {
+    if (status < 200 || status >= 300) return 'error';
+    if (isConflict(body)) return 'conflict';
+    if (isOngoingBooking(body)) return 'ongoing_booking';
+    return 'ok';
+}
+
+/**
+ * @param {object} response
+ * @returns {*} parsed JSON body, or null
+ */
+function parseBody(response) {
+    try {
+        return JSON.parse(response.body);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * True when n8n carried out the action (2xx and not a conflict)
+ * @param {object} response
+ * @returns {boolean}
+ */
+function succeeded(response) {
+    return response.status >= 200 && response.status < 300 && !isConflict(parseBody(response));
+}
+
+/**
+ * Forward a payload and announce the change if it was a booking mutation
+ * @param {object} payload - stamped payload
+ * @param {object} session
+ * @returns {Promise<object>} response
+ */
+async function execute(payload, session) {
+    const response = LEASED_ACTIONS.includes(payload.action)
+        ? await forwardLeased(payload, session)
+        : await forward(payload);
+
+    if (succeeded(response)) {
+        publishBookingChange(payload, parseBody(response));
+    }
+    return response;
+}
+
+/**
+ * Run a forward and append its audit record, including failed attempts
+ * @param {object} payload - stamped payload, plus the caller's onBehalfOf
+ * @param {object} session
+ * @param {function(): Promise<object>} run
+ * @returns {Promise<object>} response of run()
+ */
+async function audited(payload, session, run) {
+    let response;
+    try {
+        response = await run();
+    } catch (err) {
+        await recordN8nAction(session, payload, { outcome: 'failed', status: err.status || 500 });
+        throw err;
+    }
+
+    const body = parseBody(response);
+    let outcome = 'failed';
+    if (succeeded(response)) outcome = 'done';
+    else if (isConflict(body)) outcome = 'conflict';
+    await recordN8nAction(session, payload, {
+        outcome,
+        status: response.status,
+        bookingId: body?.bookingId || body?.['Booking ID']
+    });
+    return response;
+}
+
+async function handle(request) {
+    // Lookups are POSTs too; authorize() refuses the rest while viewing as
+    const session = requireSession(request, { readOnly: true });
+    if (!request.body || typeof request.body !== 'object' || Array.isArray(request.body)) {
+        throw new HttpError(400, 'Invalid JSON');
+    }
+    assertValidPayload(request.body);
+    await authorize(request.body, session);
+    const payload = stampUser(request.body, session);
+
+    // A repeated request_id replays the first response instead of booking twice
+    return once(payload.request_id, payload, () =>
+        audited({ ...payload, onBehalfOf: request.body.onBehalfOf }, session, () => execute(payload, session)));
+}
+
+module.exports = { methods: ['POST'], handle };
@@ -0,0 +1,130 @@
+/**
+ * lib/handlers/password-reset.js - POST /api/password-reset
+ *
+ * Two steps, told apart by the body:
+ *
+ *   { email }            -> mails a reset link (lib/mailer.js). Always answers
+ *                           the same way and, by waiting for the mail and
+ *                           then padding to MIN_RESPONSE_MS, in the same
+ *                           time, so it cannot be used to probe emails.
+ *   { token, password }  -> checks the token (lib/reset-tokens.js) and stores
+ *                           the new password through lib/password.js, exactly
+ *                           like the scrypt upgrade in /api/login.
+ */
+
+const { HttpError, json } = require('../http');
+const { hashPassword } = require('../password');
+const { getUser, setPasswordHash } = require('../users');
+const { sendMail } = require('../mailer');
+const { TOKEN_TTL_MS, createResetToken, readResetToken, tokenMatchesUser } = require('../reset-tokens');
+const { recordLoginSuccess } = require('../throttle');
+const { log } = require('../log');
+const { config } = require('../config');
+
+const MIN_PASSWORD_LENGTH = 8;
+const RESEND_INTERVAL_MS = 2 * 60 * 1000;
+// Longer than a mail normally takes, so known and unknown emails answer alike
+const MIN_RESPONSE_MS = 3000;
+const REQUESTED_MESSAGE = 'If that email is registered, a reset link is on its way.';
+const INVALID_TOKEN = 'This reset link is invalid or has expired. Please request a new one.';
+
+// email -> time of the last reset mail (per instance)
+const lastSent = new Map();
+
+/**
+ * Public base URL for links in emails. Never taken from the request: a
+ * forged Host header would send the token to someone else's site.
+ * @returns {string}
+ */
+function baseUrl() {
+    const { appBaseUrl, port } = config();
+    return appBaseUrl ? appBaseUrl.replace(/\/$/, '') : `http://localhost:${port}`;
+}
+
+/**
+ * Mail a reset link; failures are logged, never reported to the requester
+ * @param {string} email
+ * @param {object} user
+ * @returns {Promise<void>}
+ */
+async function mailResetLink(email, user) {
+    const resetUrl = `${baseUrl()}/reset-password.html?token=${createResetToken(user)}`;
+    const minutes = Math.round(TOKEN_TTL_MS / 60000);
+    try {
+        await sendMail({
+            to: user.email || email,
+            subject: 'Reset your CreativeFuel password',
+            text: `Hi ${user.name || ''},\n\n` +
+                `Use this link to choose a new password. It works once and expires in ${minutes} minutes:\n\n` +
+                `${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`
+        });
+    } catch (err) {
+        lastSent.delete(email);
+        log.error('Password reset mail failed', { err });
+    }
+}
+
+/**
+ * Mail a reset link if the email is registered and none went out recently
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+async function sendResetIfDue(email) {
+    const now = Date.now();
+    if (now - (lastSent.get(email) || 0) < RESEND_INTERVAL_MS) return;
+
+    const user = await getUser(email);
+    if (!user) {
+        log.info('Password reset requested for an unknown email');
+        return;
+    }
+    lastSent.set(email, now);
+    // Awaited: on Vercel the function may be frozen as soon as it has answered
+    await mailResetLink(email, user);
+}
+
+async function requestReset(email) {
+    const started = Date.now();
+    await sendResetIfDue(email);
+
+    const remaining = MIN_RESPONSE_MS - (Date.now() - started);
+    if (remaining > 0) {
+        await new Promise(resolve => setTimeout(resolve, remaining));
+    }
+    return json(200, { ok: true, message: REQUESTED_MESSAGE });
+}
+
+async function completeReset(token, password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new HttpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const payload = readResetToken(token);
+    if (!payload) {
+        throw new HttpError(400, INVALID_TOKEN, { code: 'invalid_token' });
+    }
+    const user = await getUser(payload.email);
+    if (!user || !tokenMatchesUser(payload, user)) {
+        throw new HttpError(400, INVALID_TOKEN, { code: 'invalid_token' });
+    }
+
+    await setPasswordHash(payload.email, await hashPassword(password));
+    await recordLoginSuccess(payload.email);
+    log.info('Password reset completed');
+    return json(200, { ok: true, message: 'Password updated. You can now log in.' });
+}
+
+async function handle(request) {
+    const body = request.body || {};
+    if (body.token) {
+        return completeReset(String(body.token), body.password);
+    }
+
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    if (!email) {
+        throw new HttpError(400, 'Missing email');
+    }
+    return requestReset(email);
+}
+
+module.exports = { methods: ['POST'], handle };
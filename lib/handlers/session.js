@@ -0,0 +1,60 @@
+/**
+ * lib/handlers/session.js - /api/session
+ *
+ * GET               - the verified user behind the session cookie, with the
+ *                     permissions and pages of their role (lib/roles.js) and
+ *                     when the session ends, or 401
+ * POST              - the user is active: restart the idle clock (re-issues
+ *                     the cookie) and answer like GET
+ * DELETE            - log out by clearing the session cookie
+ * DELETE ?scope=all - sign out of all devices: also end every other session
+ *                     of this person (audited); refused while viewing as
+ *
+ * While an admin views the app as someone, `user` is that person and
+ * carries `impersonator` (lib/roles.js describeUser).
+ */
+
+const { HttpError, json } = require('../http');
+const {
+    requireSession, getSession, touchSession, viewAsReadOnly, sessionTimes, sessionCookie, clearSessionCookie
+} = require('../session');
+const { revokeSessions } = require('../session-revocations');
+const { describeUser } = require('../roles');
+const audit = require('../audit');
+
+async function logout(request) {
+    const headers = { 'Set-Cookie': clearSessionCookie(request) };
+    if (request.query.scope === undefined) {
+        return json(200, { ok: true }, headers);
+    }
+    if (request.query.scope !== 'all') {
+        throw new HttpError(400, 'Use ?scope=all to sign out of all devices');
+    }
+
+    const session = getSession(request);
+    if (session?.impersonator) {
+        throw viewAsReadOnly();
+    }
+    if (session) {
+        await revokeSessions(session.email, session, 'self');
+        await audit.record(session, { action: 'sessions_revoke', details: { email: session.email, scope: 'self' }, outcome: 'done', status: 200 });
+    }
+    return json(200, { ok: true }, headers);
+}
+
+async function handle(request) {
+    if (request.method === 'DELETE') {
+        return logout(request);
+    }
+
+    let session = requireSession(request, { readOnly: true });
+    const headers = {};
+    if (request.method === 'POST') {
+        const touched = touchSession(session);
+        session = touched.session;
+        headers['Set-Cookie'] = sessionCookie(request, touched.token, session.exp - session.seen);
+    }
+    return json(200, { ok: true, user: describeUser(session), session: sessionTimes(session) }, headers);
+}
+
+module.exports = { methods: ['GET', 'POST', 'DELETE'], handle };
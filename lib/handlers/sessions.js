@@ -0,0 +1,30 @@
+/**
+ * lib/handlers/sessions.js - /api/sessions (sessions.revoke)
+ *
+ * GET            - recent revocations, newest first
+ * POST { email } - sign that person out of every device (audited); they
+ *                  can log in again straight away
+ */
+
+const { HttpError, json } = require('../http');
+const { requirePermission } = require('../roles');
+const { revokeSessions, listRevocations } = require('../session-revocations');
+const audit = require('../audit');
+
+async function handle(request) {
+    const session = requirePermission(request, 'sessions.revoke');
+
+    if (request.method === 'POST') {
+        const email = String(request.body?.email || '').trim().toLowerCase();
+        if (!email || !email.includes('@')) {
+            throw new HttpError(400, 'Send { email } of the person to sign out');
+        }
+        const revocation = await revokeSessions(email, session, 'admin');
+        await audit.record(session, { action: 'sessions_revoke', details: { email, scope: 'admin' }, outcome: 'done', status: 200 });
+        return json(200, { ok: true, revocation });
+    }
+
+    return json(200, { ok: true, revocations: await listRevocations() });
+}
+
+module.exports = { methods: ['GET', 'POST'], handle };
@@ -0,0 +1,40 @@
+/**
+ * lib/handlers/slot-lock.js - /api/slot-lock
+ *
+ * POST   { dateKey, fromTime, toTime } - take the lease on a slot (200 { lock })
+ *        or get a place in its queue (409 slot_locked { position, heldUntil, retryAfter })
+ * PUT    { lockId }                    - heartbeat; 410 lock_lost once the lease is gone
+ * DELETE { lockId }                    - release the lease and leave any queue
+ *
+ * Leases are managed by lib/slot-locks.js. /api/n8n requires one for
+ * booking_submit and pro_or_post and releases it when the booking succeeds.
+ */
+
+const { HttpError, json } = require('../http');
+const { requireSession } = require('../session');
+const { SLOT_LOCK_SCHEMA, assertValid } = require('../schemas');
+const slotLocks = require('../slot-locks');
+
+async function handle(request) {
+    const session = requireSession(request);
+    const body = request.body && typeof request.body === 'object' && !Array.isArray(request.body) ? request.body : {};
+
+    if (request.method === 'DELETE') {
+        return json(200, { ok: true, released: await slotLocks.release(session, body.lockId || request.query.lockId) });
+    }
+
+    if (request.method === 'PUT') {
+        if (!body.lockId) throw new HttpError(400, 'Missing lockId');
+        return json(200, { ok: true, lock: await slotLocks.renew(session, body.lockId) });
+    }
+
+    assertValid(body, SLOT_LOCK_SCHEMA);
+    const result = await slotLocks.acquire(session, body);
+    if (!result.acquired) {
+        const { position, heldUntil, retryAfter } = result;
+        throw new HttpError(409, 'Someone else is booking this slot.', { code: 'slot_locked', position, heldUntil, retryAfter });
+    }
+    return json(200, { ok: true, lock: result.lock });
+}
+
+module.exports = { methods: ['POST', 'PUT', 'DELETE'], handle };
@@ -0,0 +1,67 @@
+/**
+ * lib/handlers/view-as.js - /api/view-as (users.impersonate)
+ *
+ * POST { email } - browse the app as that employee: their pages, their My
+ *                  Day and attendance, and nothing can be changed
+ *                  (lib/session.js). Re-issues the session cookie.
+ * DELETE         - back to the admin's own session
+ *
+ * Both answer like GET /api/session and are recorded in the audit trail
+ * with the admin as the actor.
+ */
+
+const { HttpError, json } = require('../http');
+const { requireSession, viewAsSession, sessionTimes, sessionCookie } = require('../session');
+const { describeUser, requirePermission } = require('../roles');
+const { getUser } = require('../users');
+const audit = require('../audit');
+
+/**
+ * @param {object} request
+ * @param {object} issued - { token, session } from viewAsSession()
+ * @returns {object} response
+ */
+function reissue(request, { token, session }) {
+    const maxAge = session.exp - Math.floor(Date.now() / 1000);
+    return json(200, { ok: true, user: describeUser(session), session: sessionTimes(session) }, {
+        'Set-Cookie': sessionCookie(request, token, maxAge)
+    });
+}
+
+async function start(request) {
+    // Refused while already viewing as someone: exit first
+    const session = requirePermission(request, 'users.impersonate');
+    const email = String(request.body?.email || '').trim().toLowerCase();
+    if (!email || !email.includes('@')) {
+        throw new HttpError(400, 'Send { email } of the person to view as');
+    }
+    if (email === String(session.email).toLowerCase()) {
+        throw new HttpError(400, 'That is you');
+    }
+
+    const user = await getUser(email);
+    if (!user) {
+        throw new HttpError(404, 'No employee with that email');
+    }
+
+    const issued = viewAsSession(session, { email: user.email || email, name: user.name, role: user.role });
+    await audit.record(session, { action: 'view_as_start', details: { email }, outcome: 'done', status: 200 });
+    return reissue(request, issued);
+}
+
+async function stop(request) {
+    const session = requireSession(request, { readOnly: true });
+    if (!session.impersonator) {
+        return json(200, { ok: true, user: describeUser(session), session: sessionTimes(session) });
+    }
+
+    const issued = viewAsSession(session, null);
+    await audit.record(session, { action: 'view_as_end', details: { email: session.email }, outcome: 'done', status: 200 });
+    return reissue(request, issued);
+}
+
+async function handle(request) {
+    return request.method === 'POST' ? start(request) : stop(request);
+}
+
+module.exports = { methods: ['POST', 'DELETE'], handle };
@@ -0,0 +1,132 @@
+/**
+ * lib/health.js - Liveness, readiness and dependency report for /api/health
+ *
+ * Liveness only says the process is up and serving. Readiness also needs
+ * the required env vars (lib/config.js) and every critical upstream (sign-in, bookings and
+ * the n8n workflow) to answer; other upstreams being down only degrades it.
+ *
+ * A probe is one GET through upstream.probe(): no retries, and it leaves
+ * the circuit breakers that real traffic trips alone. Any HTTP answer below
+ * 500 counts as up, including the error JSON a script returns for missing
+ * parameters and n8n's 404 for GET on a POST webhook; probes never trigger
+ * a workflow. Results are reused for PROBE_CACHE_MS so the
+ * endpoint cannot be used to hammer Google, and the last error of each
+ * upstream is kept until the process restarts.
+ */
+
+const upstream = require('./upstream');
+const { config, envReport } = require('./config');
+
+const PROBE_TIMEOUT_MS = 5000;
+const PROBE_CACHE_MS = 30 * 1000;
+
+// upstream name -> probe query; critical upstreams gate readiness
+const PROBES = {
+    auth: { params: {}, critical: true },
+    myday: { params: {}, critical: true },
+    n8n: { params: {}, critical: true },
+    creators: { params: {}, critical: false },
+    brandip: { params: { brandips: 'Brand' }, critical: false },
+    attendance: { params: {}, critical: false },
+    adminData: { params: {}, critical: false },
+    employees: { params: {}, critical: false }
+};
+
+const startedAt = new Date();
+const lastErrors = new Map();   // upstream name -> { message, at }
+let cached = null;              // { at, results }
+let pending = null;
+
+function probeUrl(name) {
+    const base = name === 'n8n' ? config().n8nWebhookUrl : config().scripts[name];
+    if (!base) return null;
+    const url = new URL(base);
+    Object.entries(PROBES[name].params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url;
+}
+
+/**
+ * Probe one upstream
+ * @param {string} name - key of PROBES
+ * @returns {Promise<object>} { name, critical, status: up|down|unconfigured, latencyMs, httpStatus, lastError }
+ */
+async function probe(name) {
+    const { critical } = PROBES[name];
+    const url = probeUrl(name);
+    if (!url) {
+        return { name, critical, status: 'unconfigured', latencyMs: null, httpStatus: null, lastError: lastErrors.get(name) || null };
+    }
+
+    const started = Date.now();
+    let status = 'up';
+    let httpStatus = null;
+    try {
+        const response = await upstream.probe(name, url, PROBE_TIMEOUT_MS);
+        httpStatus = response.status;
+        if (response.status >= 500) {
+            status = 'down';
+            lastErrors.set(name, { message: `HTTP ${response.status}`, at: new Date().toISOString() });
+        }
+    } catch (err) {
+        status = 'down';
+        lastErrors.set(name, { message: err.message, at: new Date().toISOString() });
+    }
+
+    return { name, critical, status, latencyMs: Date.now() - started, httpStatus, lastError: lastErrors.get(name) || null };
+}
+
+/**
+ * Probe every upstream, reusing results younger than PROBE_CACHE_MS
+ * @returns {Promise<object>} { checkedAt, upstreams }
+ */
+async function probeAll() {
+    if (cached && Date.now() - cached.at < PROBE_CACHE_MS) return cached.results;
+    if (!pending) {
+        pending = Promise.all(Object.keys(PROBES).map(probe))
+            .then(upstreams => {
+                const results = { checkedAt: new Date().toISOString(), upstreams };
+                cached = { at: Date.now(), results };
+                return results;
+            })
+            .finally(() => {
+                pending = null;
+            });
+    }
+    return pending;
+}
+
+/**
+ * @returns {object} { status: 'live', startedAt, uptimeSeconds }
+ */
+function liveness() {
+    return {
+        status: 'live',
+        startedAt: startedAt.toISOString(),
+        uptimeSeconds: Math.floor(process.uptime())
+    };
+}
+
+/**
+ * Full readiness report
+ * @returns {Promise<object>} { ready, status: ready|degraded|not_ready, env, upstreams, degraded, checkedAt }
+ */
+async function readiness() {
+    const env = envReport();
+    const { checkedAt, upstreams } = await probeAll();
+
+    const missingEnv = env.some(v => v.required && !v.configured);
+    const criticalDown = upstreams.some(u => u.critical && u.status !== 'up');
+    const anyDown = upstreams.some(u => u.status !== 'up');
+    const ready = !missingEnv && !criticalDown;
+
+    return {
+        ready,
+        status: !ready ? 'not_ready' : (anyDown ? 'degraded' : 'ready'),
+        checkedAt,
+        env,
+        upstreams,
+        degraded: upstream.degraded()
+    };
+}
+
+module.exports = { liveness, readiness };
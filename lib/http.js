@@ -0,0 +1,214 @@
+/**
+ * lib/http.js - Framework-agnostic request/response helpers
+ *
+ * Route handlers in lib/handlers receive a plain request object and return a
+ * plain response object, so the same code runs under server.js and Vercel:
+ *
+ *   request  = { method, path, query, headers, body, rawBody, ip }
+ *   response = { status, headers, body }
+ *
+ * A long-lived response (Server-Sent Events) sets `stream(res)` instead of
+ * `body`; send() writes the headers and hands the open response over to it.
+ */
+
+const { config } = require('./config');
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const JSON_TYPE = /^application\/(?:[\w.-]+\+)?json\s*(?:;|$)/i;
+
+/**
+ * Error carrying an HTTP status; adapters turn it into { ok: false, message }
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - message returned to the client
+     * @param {object} [extra] - extra fields merged into the JSON body
+     */
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+/**
+ * Build a JSON response
+ * @param {number} status
+ * @param {*} data - serialized with JSON.stringify
+ * @param {object} [headers]
+ * @returns {object} response
+ */
+function json(status, data, headers = {}) {
+    return {
+        status,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(data)
+    };
+}
+
+/**
+ * Build a JSON error response in the app's { ok: false, message } shape
+ * @param {number} status
+ * @param {string} message
+ * @param {object} [extra]
+ * @returns {object} response
+ */
+function error(status, message, extra = {}) {
+    return json(status, { ok: false, message, ...extra });
+}
+
+/**
+ * @param {object} headers - Node request headers
+ * @returns {boolean} true when the request announces a body
+ */
+function hasBody(headers) {
+    return Number(headers['content-length']) > 0 || headers['transfer-encoding'] !== undefined;
+}
+
+/**
+ * @param {object} headers - Node request headers
+ * @returns {boolean} true for application/json and application/*+json
+ */
+function isJson(headers) {
+    return JSON_TYPE.test(headers['content-type'] || '');
+}
+
+/**
+ * Read the full request body from a Node stream, up to a size limit and a
+ * deadline. On failure the rest of the body is left unread; dispatch closes
+ * the connection after replying.
+ * @param {import('http').IncomingMessage} req
+ * @param {object} [options]
+ * @param {number} [options.limit] - bytes; defaults to MAX_BODY_BYTES
+ * @param {number} [options.timeoutMs] - defaults to BODY_READ_TIMEOUT_SECONDS
+ * @returns {Promise<string>}
+ * @throws {HttpError} 413 over the limit, 408 past the deadline
+ */
+function readBody(req, options = {}) {
+    const { maxBodyBytes, bodyReadTimeoutSeconds } = config();
+    const limit = options.limit ?? maxBodyBytes;
+    const timeoutMs = options.timeoutMs ?? bodyReadTimeoutSeconds * 1000;
+    const tooLarge = () => new HttpError(413, `Request body is larger than ${limit} bytes`, { code: 'body_too_large' });
+
+    // Refuse up front when the client says how big it is
+    if (Number(req.headers['content-length']) > limit) {
+        return Promise.reject(tooLarge());
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+
+        const finish = (err, body) => {
+            clearTimeout(timer);
+            req.removeListener('data', onData);
+            req.removeListener('end', onEnd);
+            req.removeListener('error', onError);
+            if (err) {
+                req.pause();
+                reject(err);
+            } else {
+                resolve(body);
+            }
+        };
+        const onData = chunk => {
+            received += chunk.length;
+            if (received > limit) {
+                finish(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        };
+        // Decoded once at the end so multi-byte characters split across chunks survive
+        const onEnd = () => finish(null, Buffer.concat(chunks).toString('utf-8'));
+        const onError = err => finish(err);
+        const timer = setTimeout(() => {
+            finish(new HttpError(408, 'Request body was not received in time', { code: 'body_timeout' }));
+        }, timeoutMs);
+
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', onError);
+    });
+}
+
+/**
+ * Parse a raw body as JSON
+ * @param {string} rawBody
+ * @returns {*} parsed value, or undefined for an empty body
+ * @throws {HttpError} 400 on invalid JSON
+ */
+function parseJson(rawBody) {
+    if (!rawBody) return undefined;
+    try {
+        return JSON.parse(rawBody);
+    } catch (e) {
+        throw new HttpError(400, 'Invalid JSON');
+    }
+}
+
+/**
+ * The caller's address. X-Forwarded-For is only believed behind a proxy that
+ * sets it (Vercel, or TRUST_PROXY); otherwise any client could pick the IP
+ * its login attempts are counted against (lib/throttle.js). The proxy appends
+ * the address it saw, so the last entry is the one it vouches for.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|undefined}
+ */
+function clientIp(req) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    const { vercel, trustProxy } = config();
+    if (forwardedFor && (vercel || trustProxy)) {
+        return forwardedFor.split(',').pop().trim();
+    }
+    return req.socket?.remoteAddress;
+}
+
+/**
+ * Normalize a Node/Vercel request into the handler request shape. Bodies
+ * must be JSON and are read within the MAX_BODY_BYTES and
+ * BODY_READ_TIMEOUT_SECONDS limits (lib/config.js).
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<object>} request
+ * @throws {HttpError} 415 for a non-JSON body, 413/408 from readBody, 400 for invalid JSON
+ */
+async function toRequest(req) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    let rawBody = '';
+    if (BODY_METHODS.includes(req.method) && hasBody(req.headers)) {
+        if (!isJson(req.headers)) {
+            throw new HttpError(415, 'Send the request body as application/json', { code: 'unsupported_media_type' });
+        }
+        rawBody = await readBody(req);
+    }
+
+    return {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        search: url.search,
+        headers: req.headers,
+        rawBody,
+        body: parseJson(rawBody),
+        ip: clientIp(req)
+    };
+}
+
+/**
+ * Write a handler response to a Node/Vercel response object
+ * @param {import('http').ServerResponse} res
+ * @param {object} response - with `body`, or `stream(res)` for long-lived responses
+ */
+function send(res, response) {
+    res.writeHead(response.status, response.headers || {});
+    if (response.stream) {
+        res.flushHeaders();
+        response.stream(res);
+        return;
+    }
+    res.end(response.body === undefined ? undefined : response.body);
+}
+
+module.exports = { HttpError, json, error, readBody, parseJson, toRequest, send };
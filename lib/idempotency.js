@@ -0,0 +1,113 @@
+/**
+ * lib/idempotency.js - Replay protection for request_id on /api/n8n
+ *
+ * The first request with a given request_id runs; its response is kept for
+ * IDEMPOTENCY_TTL_MINUTES (default 24 hours). A repeat with the same payload
+ * gets the stored response back without reaching n8n again, and a repeat
+ * that arrives while the first is still in flight waits for it. Reusing an
+ * ID with a different payload is rejected with 409.
+ *
+ * Server errors (5xx) are not stored, so a failed submit can be retried with
+ * the same ID. Entries are in memory: per process (per warm instance on
+ * Vercel) and lost on restart.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { log } = require('./log');
+const { config } = require('./config');
+
+const MAX_ENTRIES = 10000;
+
+// request_id -> { fingerprint, expiresAt, pending?, response? }
+const entries = new Map();
+
+function ttlMs() {
+    return config().idempotencyTtlMinutes * 60 * 1000;
+}
+
+/**
+ * JSON with object keys sorted, so key order does not change the fingerprint
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * @param {object} payload
+ * @returns {string}
+ */
+function fingerprint(payload) {
+    return crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+}
+
+function prune(now) {
+    for (const [id, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(id);
+    }
+    // Map iteration is insertion order, so this drops the oldest first
+    for (const id of entries.keys()) {
+        if (entries.size <= MAX_ENTRIES) break;
+        entries.delete(id);
+    }
+}
+
+function replay(response) {
+    return { ...response, headers: { ...response.headers, 'Idempotent-Replayed': 'true' } };
+}
+
+/**
+ * Run `execute` at most once per request ID and payload
+ * @param {string} requestId - client request_id; when empty, execute runs unguarded
+ * @param {object} payload - the payload as forwarded (after the user is stamped)
+ * @param {function(): Promise<object>} execute - produces the response
+ * @returns {Promise<object>} response, possibly replayed
+ * @throws {HttpError} 409 when the ID was used for a different payload
+ */
+async function once(requestId, payload, execute) {
+    if (!requestId) return execute();
+
+    const now = Date.now();
+    const print = fingerprint(payload);
+    const existing = entries.get(requestId);
+
+    if (existing && existing.expiresAt > now) {
+        if (existing.fingerprint !== print) {
+            throw new HttpError(409, 'This request ID was already used for a different request.', {
+                code: 'idempotency_conflict',
+                request_id: requestId
+            });
+        }
+        log.info('Duplicate request_id - replaying stored response', { request_id: requestId });
+        return replay(existing.response || await existing.pending);
+    }
+
+    prune(now);
+    const entry = { fingerprint: print, expiresAt: now + ttlMs() };
+    entry.pending = execute();
+    entries.set(requestId, entry);
+
+    try {
+        const response = await entry.pending;
+        if (response.status >= 500) {
+            entries.delete(requestId);
+        } else {
+            entry.response = response;
+        }
+        return response;
+    } catch (err) {
+        entries.delete(requestId);
+        throw err;
+    } finally {
+        entry.pending = null;
+    }
+}
+
+module.exports = { once, fingerprint };
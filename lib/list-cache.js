@@ -0,0 +1,227 @@
+/**
+ * lib/list-cache.js - Server-side cache for the reference lists
+ *
+ * The creators, brand, IP and Pre/Post campaign and stage lists change
+ * rarely but are loaded on every booking page. Each list is kept for
+ * LIST_CACHE_TTL_SECONDS (default 300). After that it is still served for
+ * up to LIST_CACHE_STALE_SECONDS more (default 3600) while one background
+ * reload replaces it (stale-while-revalidate); past that window the request
+ * waits for a reload. When a reload fails, the last good copy is served.
+ *
+ * The copies are per process, and on Vercel the lists are served by other
+ * functions than /api/lists. So refreshAll() (admin "refresh lists") stamps
+ * the time in shared state (lib/shared-store.js), and every instance treats
+ * copies loaded before the stamp as expired. The stamp is read at most every
+ * STAMP_CHECK_MS, so a refresh reaches everyone within that time.
+ */
+
+const { getScript } = require('./apps-script');
+const { readState, updateState } = require('./shared-store');
+const { log } = require('./log');
+const { config } = require('./config');
+
+const STAMP_KEY = 'lists_refreshed_at';
+const STAMP_CHECK_MS = 10 * 1000;
+
+// list name -> Apps Script call behind it
+const LISTS = {
+    'creators': { script: 'creators', params: {} },
+    'Brand': { script: 'brandip', params: { brandips: 'Brand' } },
+    'IP': { script: 'brandip', params: { brandips: 'IP' } },
+    'Campaign': { script: 'brandip', params: { brandips: 'Campaign' } },
+    'Pre-Production': { script: 'brandip', params: { brandips: 'Pre-Production' } },
+    'Post-Production': { script: 'brandip', params: { brandips: 'Post-Production' } }
+};
+
+const entries = new Map();  // list name -> { response, fetchedAt, pending }
+const stamp = { at: 0, checkedAt: 0, pending: null };   // last "refresh lists", as read from shared state
+
+function ttlMs() {
+    return config().listCacheTtlSeconds * 1000;
+}
+
+function staleMs() {
+    return config().listCacheStaleSeconds * 1000;
+}
+
+function entryFor(name) {
+    if (!entries.has(name)) {
+        entries.set(name, { response: null, fetchedAt: 0, pending: null });
+    }
+    return entries.get(name);
+}
+
+/**
+ * Time of the last "refresh lists" on any instance, re-read from shared
+ * state at most every STAMP_CHECK_MS. If it cannot be read, the last known
+ * stamp is used.
+ * @returns {Promise<number>} ms since the epoch, 0 if never refreshed
+ */
+function refreshedAt() {
+    if (Date.now() - stamp.checkedAt < STAMP_CHECK_MS) return Promise.resolve(stamp.at);
+    if (!stamp.pending) {
+        stamp.pending = readState(STAMP_KEY)
+            .then(({ value }) => {
+                stamp.at = Math.max(stamp.at, Number(value?.at) || 0);
+            })
+            .catch(err => log.error('Could not read the lists refresh stamp', { err }))
+            .then(() => {
+                stamp.checkedAt = Date.now();
+                stamp.pending = null;
+                return stamp.at;
+            });
+    }
+    return stamp.pending;
+}
+
+/**
+ * Only complete lists are cached, never script errors
+ * @param {object} response
+ * @returns {boolean}
+ */
+function isCacheable(response) {
+    if (response.status !== 200) return false;
+    try {
+        return JSON.parse(response.body).ok !== false;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Reload a list from its script; concurrent callers share one request
+ * @param {string} name
+ * @returns {Promise<object>} the script's response, cached if cacheable
+ */
+function reload(name) {
+    const entry = entryFor(name);
+    if (!entry.pending) {
+        const { script, params } = LISTS[name];
+        entry.pending = getScript(script, params)
+            .then(response => {
+                if (isCacheable(response)) {
+                    entry.response = response;
+                    entry.fetchedAt = Date.now();
+                }
+                return response;
+            })
+            .finally(() => {
+                entry.pending = null;
+            });
+    }
+    return entry.pending;
+}
+
+/**
+ * @param {object} response
+ * @param {string} cache - HIT, STALE or MISS
+ * @param {number} ageMs
+ * @returns {object} response with X-Cache and Age headers
+ */
+function tagged(response, cache, ageMs) {
+    return {
+        ...response,
+        headers: { ...response.headers, 'X-Cache': cache, 'Age': String(Math.floor(ageMs / 1000)) }
+    };
+}
+
+/**
+ * Serve a list from the cache, reloading it as needed
+ * @param {string} name - key of LISTS
+ * @returns {Promise<object>} response in the script's { ok, names } shape
+ * @throws {HttpError} from apps-script/upstream when there is no copy to fall back on
+ */
+async function getList(name) {
+    const entry = entryFor(name);
+    const since = await refreshedAt();
+    // A copy older than the last "refresh lists" counts as expired
+    const age = entry.response && entry.fetchedAt >= since ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (age < ttlMs()) {
+        return tagged(entry.response, 'HIT', age);
+    }
+    if (age < ttlMs() + staleMs()) {
+        reload(name).catch(err => log.error('List background reload failed', { list: name, err }));
+        return tagged(entry.response, 'STALE', age);
+    }
+
+    let response;
+    try {
+        response = await reload(name);
+    } catch (err) {
+        if (!entry.response) throw err;
+        log.warn('List reload failed, serving last good copy', { list: name, err });
+        return tagged(entry.response, 'STALE', Date.now() - entry.fetchedAt);
+    }
+    if (!isCacheable(response) && entry.response) {
+        return tagged(entry.response, 'STALE', Date.now() - entry.fetchedAt);
+    }
+    return tagged(response, 'MISS', 0);
+}
+
+/**
+ * Cache state of every list on this instance
+ * @returns {object[]} [{ name, state, fetchedAt, ageSeconds, count }]
+ */
+function listStatus() {
+    const now = Date.now();
+    return Object.keys(LISTS).map(name => {
+        const entry = entries.get(name);
+        if (!entry || !entry.response) {
+            return { name, state: 'empty', fetchedAt: null, ageSeconds: null, count: null };
+        }
+        const age = now - entry.fetchedAt;
+        // Copies from before the last "refresh lists" are expired
+        const current = entry.fetchedAt >= stamp.at;
+        let state = 'expired';
+        if (current && age < ttlMs()) state = 'fresh';
+        else if (current && age < ttlMs() + staleMs()) state = 'stale';
+        let count = null;
+        try {
+            count = (JSON.parse(entry.response.body).names || []).length;
+        } catch (e) {
+            // count stays null
+        }
+        return { name, state, fetchedAt: new Date(entry.fetchedAt).toISOString(), ageSeconds: Math.floor(age / 1000), count };
+    });
+}
+
+/**
+ * Expire every copy on every instance, then reload the lists here to check
+ * that each script answers, keeping the old copy of any that fails
+ * @returns {Promise<object>} { refreshed: [names], failed: [{ name, message }] }
+ */
+async function refreshAll() {
+    const at = Date.now();
+    await updateState(STAMP_KEY, { at: 0 }, value => {
+        value.at = Math.max(value.at, at);
+    });
+    stamp.at = Math.max(stamp.at, at);
+
+    const names = Object.keys(LISTS);
+    const results = await Promise.allSettled(names.map(name => reload(name)));
+
+    const refreshed = [];
+    const failed = [];
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled' && isCacheable(result.value)) {
+            refreshed.push(names[i]);
+        } else {
+            const message = result.status === 'rejected'
+                ? result.reason.message
+                : `Script answered ${result.value.status}`;
+            failed.push({ name: names[i], message });
+        }
+    });
+    log.info('Reference lists refreshed', { refreshed: refreshed.length, failed: failed.length });
+    return { refreshed, failed };
+}
+
+/**
+ * @returns {object} { ttlSeconds, staleSeconds }
+ */
+function cacheSettings() {
+    return { ttlSeconds: ttlMs() / 1000, staleSeconds: staleMs() / 1000 };
+}
+
+module.exports = { LISTS, getList, listStatus, refreshAll, cacheSettings };
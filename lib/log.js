@@ -0,0 +1,166 @@
+/**
+ * lib/log.js - Structured JSON logger shared by server.js and the Vercel functions
+ *
+ * Each entry is one JSON line:
+ *
+ *   {"time":"...","level":"info","msg":"request","requestId":"...","method":"GET","status":200}
+ *
+ * LOG_LEVEL (debug|info|warn|error, default info) sets the threshold; warn
+ * and error go to stderr. dispatch() runs every API request inside
+ * withRequestId(), so entries written while handling it carry its
+ * correlation ID without passing it around, and lib/upstream.js forwards the
+ * same ID to the Apps Scripts and n8n as x-request-id.
+ *
+ * Fields are redacted before writing: secrets (passwords, hashes, keys,
+ * tokens, cookies) are dropped, personal fields (email, name, employee) are
+ * masked, and URLs lose their query string and script IDs.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+
+const SECRET_KEY = /password|hash|secret|token|cookie|authorization|signature|^(x-app-)?key$|^app_?key$/i;
+const PERSONAL_KEY = /^(email|to|name|employee|user(name)?|holder(name)?|creator|cast|dop|on_?behalf_?of)$/i;
+const REQUEST_ID = /^[\w.:-]{8,100}$/;
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+    return LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS[DEFAULT_LEVEL];
+}
+
+/**
+ * "riya@example.com" -> "ri***@example.com"
+ * @param {string} email
+ * @returns {string}
+ */
+function maskEmail(email) {
+    const [local, domain] = String(email).split('@');
+    if (!domain) return maskName(email);
+    return `${local.slice(0, 2)}***@${domain}`;
+}
+
+/**
+ * "Riya Kapoor" -> "R. K."
+ * @param {string} name
+ * @returns {string}
+ */
+function maskName(name) {
+    return String(name).trim().split(/\s+/).filter(Boolean).map(part => `${part[0]}.`).join(' ');
+}
+
+/**
+ * Strip what a log line must not carry from free text: URL query strings
+ * and paths (Apps Script URLs embed the deployment ID), and key=value secrets
+ * @param {string} text
+ * @returns {string}
+ */
+function scrub(text) {
+    return String(text)
+        .replace(/https?:\/\/[^\s"'<>]+/g, match => {
+            try {
+                const url = new URL(match);
+                return url.hostname.endsWith('google.com') || url.hostname.endsWith('googleusercontent.com')
+                    ? `${url.origin}/…`
+                    : `${url.origin}${url.pathname}`;
+            } catch (e) {
+                return '[url]';
+            }
+        })
+        .replace(/\b(key|password|token|secret|hash)=[^&\s]+/gi, '$1=[redacted]');
+}
+
+/**
+ * Deep copy of `value` with secrets removed and personal fields masked
+ * @param {*} value
+ * @param {string} [key] - the field name `value` was found under
+ * @param {number} [depth]
+ * @returns {*}
+ */
+function redact(value, key = '', depth = 0) {
+    if (key && SECRET_KEY.test(key)) return '[redacted]';
+    if (value === null || value === undefined) return value;
+
+    if (value instanceof Error) {
+        return { name: value.name, message: scrub(value.message), ...(value.status ? { status: value.status } : {}) };
+    }
+    if (typeof value === 'string') {
+        if (key && PERSONAL_KEY.test(key)) {
+            return /email|^to$/i.test(key) ? maskEmail(value) : maskName(value);
+        }
+        return scrub(value);
+    }
+    if (typeof value !== 'object') return value;
+    if (depth >= 4) return '[object]';
+
+    if (Array.isArray(value)) {
+        return value.slice(0, 20).map(item => redact(item, key, depth + 1));
+    }
+    const copy = {};
+    Object.entries(value).forEach(([k, v]) => {
+        copy[k] = redact(v, k, depth + 1);
+    });
+    return copy;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < threshold()) return;
+
+    const store = context.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: scrub(msg),
+        ...(store ? { requestId: store.requestId } : {}),
+        ...redact(fields)
+    };
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (e) {
+        line = JSON.stringify({ time: entry.time, level, msg: entry.msg, requestId: entry.requestId });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+/**
+ * Correlation ID for an incoming request: the caller's x-request-id when it
+ * looks like one, otherwise a new UUID
+ * @param {object} headers - request headers
+ * @returns {string}
+ */
+function requestIdFrom(headers = {}) {
+    const incoming = headers['x-request-id'];
+    return typeof incoming === 'string' && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * Run `fn` with `requestId` attached to every entry it logs
+ * @param {string} requestId
+ * @param {function(): *} fn
+ * @returns {*} whatever fn returns
+ */
+function withRequestId(requestId, fn) {
+    return context.run({ requestId }, fn);
+}
+
+/**
+ * @returns {string|null} correlation ID of the request being handled
+ */
+function currentRequestId() {
+    const store = context.getStore();
+    return store ? store.requestId : null;
+}
+
+const log = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
+
+module.exports = { log, redact, requestIdFrom, withRequestId, currentRequestId };
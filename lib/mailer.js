@@ -0,0 +1,47 @@
+/**
+ * lib/mailer.js - Pluggable outgoing mail
+ *
+ * MAIL_TRANSPORT selects how messages leave the server:
+ *   n8n  - POST { action: 'send_email', to, subject, text } to N8N_WEBHOOK_URL
+ *   file - append to the 'outbox' store in DATA_DIR (local development)
+ * Defaults to n8n when N8N_WEBHOOK_URL is set, otherwise file (lib/config.js).
+ */
+
+const { appendRecord } = require('./store');
+const upstream = require('./upstream');
+const { log } = require('./log');
+const { config } = require('./config');
+
+async function sendViaN8n(message) {
+    const { appKey, n8nWebhookUrl } = config();
+    const headers = { 'Content-Type': 'application/json' };
+    if (appKey) {
+        headers['x-app-key'] = appKey;
+    }
+    const response = await upstream.request('n8n', n8nWebhookUrl, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ action: 'send_email', command: '/send_email', ...message })
+    });
+    if (!response.ok) {
+        throw new Error(`n8n returned ${response.status}`);
+    }
+}
+
+async function sendViaFile(message) {
+    await appendRecord('outbox', { ...message, sentAt: new Date().toISOString() });
+    log.info('Mail written to the local outbox', { to: message.to });
+}
+
+const TRANSPORTS = { n8n: sendViaN8n, file: sendViaFile };
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ */
+async function sendMail(message) {
+    await TRANSPORTS[config().mailTransport](message);
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,136 @@
+/**
+ * lib/metrics.js - In-process counters and histograms for /api/metrics
+ *
+ * Modules register their metrics once at load time and update them as they
+ * work; render() writes everything in the Prometheus text format (0.0.4).
+ * Gauges are computed when scraped from a collect() callback, so slot locks
+ * and breakers report their current state without extra bookkeeping.
+ *
+ * Label values must come from small fixed sets (route paths, n8n actions,
+ * upstream names, status codes) - never user input - to keep the series
+ * count bounded.
+ *
+ * Like the other in-memory state the numbers are per process: a local
+ * Prometheus scraping server.js sees everything, while on Vercel each warm
+ * instance only counts the requests it handled.
+ */
+
+// Seconds; suits both fast script reads and n8n workflows
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+const registry = new Map();   // metric name -> metric
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * @param {object} labels
+ * @returns {string} e.g. {method="GET",status="200"}, or '' without labels
+ */
+function formatLabels(labels) {
+    const pairs = Object.keys(labels).sort().map(key => `${key}="${escapeLabel(labels[key])}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function register(name, type, help, extra = {}) {
+    if (registry.has(name)) return registry.get(name);
+    const metric = { name, type, help, series: new Map(), ...extra };
+    registry.set(name, metric);
+    return metric;
+}
+
+/**
+ * Monotonic counter
+ * @param {string} name - should end in _total
+ * @param {string} help
+ * @returns {object} { inc(labels, by = 1) }
+ */
+function counter(name, help) {
+    const metric = register(name, 'counter', help);
+    return {
+        inc(labels = {}, by = 1) {
+            const key = formatLabels(labels);
+            const series = metric.series.get(key) || { labels, value: 0 };
+            series.value += by;
+            metric.series.set(key, series);
+        }
+    };
+}
+
+/**
+ * Histogram of durations in seconds
+ * @param {string} name - should end in _seconds
+ * @param {string} help
+ * @param {number[]} [buckets] - upper bounds, ascending
+ * @returns {object} { observe(labels, seconds) }
+ */
+function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const metric = register(name, 'histogram', help, { buckets });
+    return {
+        observe(labels, seconds) {
+            const key = formatLabels(labels);
+            let series = metric.series.get(key);
+            if (!series) {
+                series = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                metric.series.set(key, series);
+            }
+            buckets.forEach((bound, i) => {
+                if (seconds <= bound) series.counts[i] += 1;
+            });
+            series.sum += seconds;
+            series.count += 1;
+        }
+    };
+}
+
+/**
+ * Gauge read at scrape time
+ * @param {string} name
+ * @param {string} help
+ * @param {function(): object[]} collect - returns [{ labels, value }]
+ */
+function gauge(name, help, collect) {
+    register(name, 'gauge', help, { collect });
+}
+
+function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    if (metric.type === 'gauge') {
+        metric.collect().forEach(({ labels = {}, value }) => {
+            lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        });
+    } else if (metric.type === 'counter') {
+        metric.series.forEach(({ labels, value }) => {
+            lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        });
+    } else {
+        metric.series.forEach(({ labels, counts, sum, count }) => {
+            metric.buckets.forEach((bound, i) => {
+                lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+        });
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Every registered metric in the Prometheus text format
+ * @returns {string}
+ */
+function render() {
+    return [...registry.values()].map(renderMetric).join('\n') + '\n';
+}
+
+gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch', () => [
+    { value: Math.floor(Date.now() / 1000 - process.uptime()) }
+]);
+gauge('process_resident_memory_bytes', 'Resident memory size', () => [
+    { value: process.memoryUsage().rss }
+]);
+
+module.exports = { counter, histogram, gauge, render };
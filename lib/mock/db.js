@@ -0,0 +1,360 @@
+/**
+ * lib/mock/db.js - In-memory state behind the offline mock backend
+ *
+ * Holds users, bookings, attendance, slot locks and the shared server state
+ * for the lifetime of the process, and converts bookings into the sheet-row shapes the real Apps
+ * Scripts return. Dates are kept as IST `YYYY-MM-DD` keys internally.
+ */
+
+const { PEOPLE, seedBookings, seedUsers } = require('./fixtures');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_END = 24 * 60 - 1;
+
+const state = {
+    users: seedUsers(),
+    bookings: [],
+    attendance: new Map(),  // `${dateKey}|${employee}` -> status
+    locks: new Map(),       // dateKey -> [{ holder, from, to, expiresAt }]
+    records: new Map(),     // collection -> records, oldest first (lib/shared-store.js)
+    shared: new Map(),      // state key -> { value (JSON text), version }
+    nextId: 1
+};
+
+/**
+ * IST date key for today plus an offset in days
+ * @param {number} offset
+ * @returns {string} YYYY-MM-DD
+ */
+function dateKeyForOffset(offset) {
+    const date = new Date(Date.now() + offset * 86400000);
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit', day: '2-digit'
+    }).format(date);
+}
+
+/**
+ * Parse the date formats the frontend sends (YYYY-MM-DD, DD/MM/YYYY, DD MMM YY)
+ * @param {string} value
+ * @returns {string|null} YYYY-MM-DD
+ */
+function toDateKey(value) {
+    const s = String(value || '').trim();
+    let m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+    m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (m) return `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+    m = s.match(/^(\d{1,2})\s+([A-Za-z]{3})\s+(\d{2})$/);
+    if (m) {
+        const month = MONTHS.findIndex(name => name.toLowerCase() === m[2].toLowerCase());
+        if (month >= 0) return `20${m[3]}-${String(month + 1).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+    }
+    return null;
+}
+
+/**
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} "18 Oct 26", the sheets' display format
+ */
+function sheetDate(dateKey) {
+    const [year, month, day] = dateKey.split('-');
+    return `${day} ${MONTHS[Number(month) - 1]} ${year.slice(-2)}`;
+}
+
+/**
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} "18/10/2026", the attendance page's key format
+ */
+function slashDate(dateKey) {
+    const [year, month, day] = dateKey.split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * @param {string} time - "HH:MM"
+ * @returns {number} minutes since midnight
+ */
+function toMinutes(time) {
+    const [hours, minutes] = String(time || '').split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+}
+
+/**
+ * @param {number} minutes
+ * @returns {string} "4:00 pm"
+ */
+function formatAmPm(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const suffix = hours >= 12 ? 'pm' : 'am';
+    return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+}
+
+function overlaps(fromA, toA, fromB, toB) {
+    return fromA < toB && fromB < toA;
+}
+
+/**
+ * Strip a " - Role" suffix from a list entry
+ * @param {string} entry
+ * @returns {string}
+ */
+function nameOnly(entry) {
+    return String(entry || '').split(' - ')[0].trim();
+}
+
+function splitNames(value) {
+    if (Array.isArray(value)) return value.map(nameOnly).filter(Boolean);
+    return String(value || '').split(',').map(nameOnly).filter(Boolean);
+}
+
+function sameName(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Add a booking
+ * @param {object} fields - see seedBookings() in lib/mock/fixtures.js
+ * @returns {object} booking
+ */
+function createBooking(fields) {
+    const booking = {
+        id: `CF${String(state.nextId++).padStart(5, '0')}`,
+        dateKey: fields.dateKey,
+        fromTime: fields.fromTime,
+        toTime: fields.toTime,
+        shootName: fields.shootName || '',
+        type: fields.type || '',
+        bIpName: fields.bIpName || '',
+        creator: fields.creator,
+        dops: fields.dops || [],
+        cast: fields.cast || [],
+        noOfShoot: fields.noOfShoot || 1,
+        location: fields.location || '',
+        taskType: fields.taskType || 'Shoot',
+        taskName: fields.taskName || '',
+        remark1: fields.remark1 || '',
+        remark2: '',
+        docLink: '',
+        status: 'Booked',
+        deleteReason: '',
+        freePeople: [],
+        createdAt: new Date().toISOString()
+    };
+    state.bookings.push(booking);
+    return booking;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|undefined} booking
+ */
+function findBooking(id) {
+    return state.bookings.find(booking => booking.id === String(id || '').trim());
+}
+
+/**
+ * Everyone still working on a booking
+ * @param {object} booking
+ * @returns {string[]} names
+ */
+function participants(booking) {
+    return [booking.creator, ...booking.dops, ...booking.cast]
+        .filter(name => name && !booking.freePeople.some(freed => sameName(freed, name)));
+}
+
+/**
+ * Live bookings on a date overlapping a time range
+ * @param {string} dateKey
+ * @param {number} from - minutes
+ * @param {number} to - minutes
+ * @returns {object[]}
+ */
+function overlappingBookings(dateKey, from, to) {
+    return state.bookings.filter(booking =>
+        booking.status !== 'Deleted' &&
+        booking.dateKey === dateKey &&
+        overlaps(from, to, toMinutes(booking.fromTime), toMinutes(booking.toTime)));
+}
+
+/**
+ * People who can be booked for a slot, as "Name - Role" entries
+ * @param {string} dateKey
+ * @param {string} fromTime
+ * @param {string} toTime
+ * @returns {string[]}
+ */
+function availablePeople(dateKey, fromTime, toTime) {
+    const busy = overlappingBookings(dateKey, toMinutes(fromTime), toMinutes(toTime)).flatMap(participants);
+    return PEOPLE
+        .filter(person => person.role !== 'Admin')
+        .filter(person => !busy.some(name => sameName(name, person.name)))
+        .map(person => `${person.name} - ${person.role}`);
+}
+
+/**
+ * Booked and free ranges of one person on a date
+ * @param {string} dateKey
+ * @param {string} name
+ * @returns {{booked: number[][], free: number[][]}} [from, to] minute pairs
+ */
+function schedule(dateKey, name) {
+    const booked = state.bookings
+        .filter(booking => booking.status !== 'Deleted' && booking.dateKey === dateKey)
+        .filter(booking => participants(booking).some(person => sameName(person, name)))
+        .map(booking => [toMinutes(booking.fromTime), toMinutes(booking.toTime)])
+        .sort((a, b) => a[0] - b[0]);
+
+    const free = [];
+    let cursor = 0;
+    booked.forEach(([from, to]) => {
+        if (from > cursor) free.push([cursor, from]);
+        cursor = Math.max(cursor, to);
+    });
+    if (cursor < DAY_END) free.push([cursor, DAY_END]);
+    return { booked, free };
+}
+
+/**
+ * Take the booking lock for a slot. Locks expire after `ttlMs`.
+ * @param {string} dateKey
+ * @param {string} fromTime
+ * @param {string} toTime
+ * @param {string} holder - user name
+ * @param {number} ttlMs
+ * @returns {boolean} false if someone else holds an overlapping lock
+ */
+function acquireLock(dateKey, fromTime, toTime, holder, ttlMs) {
+    const now = Date.now();
+    const from = toMinutes(fromTime);
+    const to = toMinutes(toTime);
+    const locks = (state.locks.get(dateKey) || []).filter(lock => lock.expiresAt > now && !sameName(lock.holder, holder));
+    if (locks.some(lock => overlaps(from, to, lock.from, lock.to))) {
+        state.locks.set(dateKey, locks);
+        return false;
+    }
+    locks.push({ holder, from, to, expiresAt: now + ttlMs });
+    state.locks.set(dateKey, locks);
+    return true;
+}
+
+/**
+ * Release the lock covering a slot once it has been booked. Overlapping
+ * locks cannot coexist, so this only ever frees the submitter's own lock.
+ * @param {string} dateKey
+ * @param {string} fromTime
+ * @param {string} toTime
+ */
+function releaseLock(dateKey, fromTime, toTime) {
+    const from = toMinutes(fromTime);
+    const to = toMinutes(toTime);
+    const locks = (state.locks.get(dateKey) || []).filter(lock => !overlaps(from, to, lock.from, lock.to));
+    state.locks.set(dateKey, locks);
+}
+
+/**
+ * A booking as a row of the bookings sheet
+ * @param {object} booking
+ * @returns {object}
+ */
+function sheetRow(booking) {
+    return {
+        'Booking ID': booking.id,
+        'Date': sheetDate(booking.dateKey),
+        'Shoot Name': booking.shootName,
+        'Type': booking.type,
+        'B_IP_Name': booking.bIpName,
+        'Brand': booking.type === 'Brand' ? booking.bIpName : '',
+        'Creator': booking.creator,
+        'DOP': booking.dops.join(', '),
+        'Cast': booking.cast.join(', '),
+        'No Of Shoot': booking.noOfShoot,
+        'Location': booking.location,
+        'From Time': booking.fromTime,
+        'To Time': booking.toTime,
+        'Task Type': booking.taskType,
+        'Task Name': booking.taskName,
+        'Remark 1': booking.remark1,
+        'Remark 2': booking.remark2,
+        'Doc Link': booking.docLink,
+        'Free person': booking.freePeople.join(', '),
+        'Final Status': booking.status,
+        'Delete Reason': booking.deleteReason
+    };
+}
+
+/**
+ * Row with the derived `_` fields the admin data script adds
+ * @param {object} booking
+ * @returns {object}
+ */
+function adminRow(booking) {
+    return {
+        ...sheetRow(booking),
+        _date_iso_ist: booking.dateKey,
+        _from_time_24: booking.fromTime,
+        _to_time_24: booking.toTime,
+        _from_datetime_ist: `${booking.dateKey}T${booking.fromTime}:00+05:30`,
+        _to_datetime_ist: `${booking.dateKey}T${booking.toTime}:00+05:30`,
+        _from_minutes: toMinutes(booking.fromTime),
+        _to_minutes: toMinutes(booking.toTime)
+    };
+}
+
+/**
+ * Row as the My Day script returns it for one employee, with their role
+ * @param {object} booking
+ * @param {string} employee
+ * @returns {object}
+ */
+function myDayRow(booking, employee) {
+    let role = 'Cast';
+    if (sameName(booking.creator, employee)) role = 'Shoot Lead';
+    else if (booking.dops.some(name => sameName(name, employee))) role = 'DOP';
+    return { ...sheetRow(booking), 'Role': role };
+}
+
+/**
+ * Bookings an employee appears in
+ * @param {string} employee
+ * @returns {object[]}
+ */
+function bookingsFor(employee) {
+    return state.bookings.filter(booking =>
+        booking.status !== 'Deleted' &&
+        [booking.creator, ...booking.dops, ...booking.cast].some(name => sameName(name, employee)));
+}
+
+function seed() {
+    seedBookings().forEach(({ day, ...fields }) => createBooking({ ...fields, dateKey: dateKeyForOffset(day) }));
+    const today = dateKeyForOffset(0);
+    PEOPLE.filter(person => person.role !== 'Admin').forEach(person => {
+        state.attendance.set(`${today}|${person.name}`, 'Present');
+    });
+}
+
+seed();
+
+module.exports = {
+    state,
+    dateKeyForOffset,
+    toDateKey,
+    sheetDate,
+    slashDate,
+    toMinutes,
+    formatAmPm,
+    nameOnly,
+    splitNames,
+    sameName,
+    createBooking,
+    findBooking,
+    participants,
+    overlappingBookings,
+    availablePeople,
+    schedule,
+    acquireLock,
+    releaseLock,
+    sheetRow,
+    adminRow,
+    myDayRow,
+    bookingsFor
+};
@@ -0,0 +1,63 @@
+/**
+ * lib/mock/fixtures.js - Seed data for the offline mock backend
+ *
+ * Everyone's password is MOCK_PASSWORD. Fixtures are stored with the legacy
+ * SHA-256 hash, so the first login also exercises the scrypt upgrade.
+ */
+
+const crypto = require('crypto');
+
+const MOCK_PASSWORD = 'password';
+
+const PEOPLE = [
+    { name: 'Meera Iyer', email: 'admin@example.com', role: 'Admin' },
+    { name: 'Riya Kapoor', email: 'riya@example.com', role: 'Creator' },
+    { name: 'Arjun Mehta', email: 'arjun@example.com', role: 'Creator' },
+    { name: 'Neha Singh', email: 'neha@example.com', role: 'Creator' },
+    { name: 'Deepak Rao', email: 'deepak@example.com', role: 'DOP' },
+    { name: 'Kabir Das', email: 'kabir@example.com', role: 'DOP' }
+];
+
+const BRANDS = ['Acme Foods', 'Brightside Apparel', 'Northwind Travel'];
+const IPS = ['Morning Show', 'Street Eats', 'Tech in 60'];
+const CAMPAIGNS = ['Diwali Drop', 'Monsoon Sale'];
+const PRE_PRODUCTION = ['Script', 'Recce', 'Casting'];
+const POST_PRODUCTION = ['Edit', 'Color', 'Sound'];
+
+/**
+ * Bookings relative to today (day 0) in IST
+ * @returns {object[]} partial booking records for lib/mock/db.js
+ */
+function seedBookings() {
+    return [
+        {
+            day: 0, fromTime: '10:00', toTime: '12:00', shootName: 'Breakfast Special',
+            type: 'IP', bIpName: 'Morning Show', creator: 'Riya Kapoor',
+            dops: ['Deepak Rao'], cast: ['Arjun Mehta'], location: 'Studio A'
+        },
+        {
+            day: 0, fromTime: '14:00', toTime: '16:30', shootName: 'Monsoon Collection',
+            type: 'Brand', bIpName: 'Brightside Apparel', creator: 'Neha Singh',
+            dops: ['Kabir Das'], cast: [], location: 'Outdoor'
+        },
+        {
+            day: 1, fromTime: '11:00', toTime: '13:00', shootName: 'Gadget Roundup',
+            type: 'IP', bIpName: 'Tech in 60', creator: 'Arjun Mehta',
+            dops: ['Deepak Rao'], cast: ['Neha Singh'], location: 'Studio B'
+        }
+    ];
+}
+
+/**
+ * @returns {object} email -> user record in the auth script's shape
+ */
+function seedUsers() {
+    const legacyHash = crypto.createHash('sha256').update(MOCK_PASSWORD).digest('hex');
+    const users = {};
+    PEOPLE.forEach(person => {
+        users[person.email] = { ...person, password_hash: legacyHash };
+    });
+    return users;
+}
+
+module.exports = { MOCK_PASSWORD, PEOPLE, BRANDS, IPS, CAMPAIGNS, PRE_PRODUCTION, POST_PRODUCTION, seedBookings, seedUsers };
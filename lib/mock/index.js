@@ -0,0 +1,88 @@
+/**
+ * lib/mock/index.js - Offline mock backend for local development
+ *
+ * With MOCK_BACKEND=1, server.js serves fixture-backed stand-ins for every
+ * Apps Script and the n8n webhook under /mock/*, and points the matching
+ * env vars at them, so the whole app runs without Google or n8n. State lives
+ * in memory (lib/mock/db.js) and resets on restart. Not available on Vercel.
+ */
+
+const { runRoute } = require('../dispatch');
+const { toRequest, send, error } = require('../http');
+const scripts = require('./scripts');
+const { n8n } = require('./n8n');
+const { MOCK_PASSWORD, PEOPLE } = require('./fixtures');
+const { log, requestIdFrom, withRequestId } = require('../log');
+
+// env var -> mock path
+const MOCK_URLS = {
+    GOOGLE_AUTH_SCRIPT_URL: '/mock/auth',
+    GOOGLE_CREATORS_SCRIPT_URL: '/mock/creators',
+    GOOGLE_BRANDIP_SCRIPT_URL: '/mock/brandip',
+    GOOGLE_MYDAY_SCRIPT_URL: '/mock/myday',
+    GOOGLE_ATTENDANCE_SCRIPT_URL: '/mock/attendance',
+    GOOGLE_ADMIN_DATA_SCRIPT_URL: '/mock/admin-data',
+    GOOGLE_EMPLOYEES_SCRIPT_URL: '/mock/employees',
+    N8N_WEBHOOK_URL: '/mock/n8n'
+};
+
+const MOCK_ROUTES = {
+    '/mock/auth': scripts.auth,
+    '/mock/creators': scripts.creators,
+    '/mock/brandip': scripts.brandip,
+    '/mock/myday': scripts.myday,
+    '/mock/attendance': scripts.attendance,
+    '/mock/admin-data': scripts.adminData,
+    '/mock/employees': scripts.employees,
+    '/mock/n8n': n8n
+};
+
+/**
+ * @returns {boolean} true when MOCK_BACKEND is set to 1/true
+ */
+function isMockEnabled() {
+    return ['1', 'true', 'yes'].includes(String(process.env.MOCK_BACKEND || '').toLowerCase());
+}
+
+/**
+ * Point every upstream env var at the mock routes, replacing live URLs
+ * @param {string} baseUrl - e.g. http://localhost:3001
+ */
+function useMockBackend(baseUrl) {
+    Object.entries(MOCK_URLS).forEach(([key, mockPath]) => {
+        process.env[key] = baseUrl + mockPath;
+    });
+    log.info(`MOCK_BACKEND on - Apps Scripts and n8n are served from /mock/*; sign in with password "${MOCK_PASSWORD}" as any of the accounts`, {
+        accounts: PEOPLE.map(person => `${person.email} (${person.role})`)
+    });
+}
+
+/**
+ * Handle a request if it targets a mock route. Like the real Apps Scripts,
+ * mock routes answer any origin. Mock log entries carry the x-request-id
+ * the proxy forwarded.
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} pathname
+ * @returns {boolean} true if the request was handled
+ */
+function handleMockRequest(req, res, pathname) {
+    const route = MOCK_ROUTES[pathname];
+    if (!route) return false;
+
+    withRequestId(requestIdFrom(req.headers), () => toRequest(req)
+        .then(request => runRoute(route, request))
+        .catch(err => error(err.status || 500, err.message))
+        .then(response => {
+            response.headers = {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Headers': 'Content-Type, x-app-key, x-request-id',
+                'Cache-Control': 'no-store',
+                ...response.headers
+            };
+            send(res, response);
+        }));
+    return true;
+}
+
+module.exports = { isMockEnabled, useMockBackend, handleMockRequest };
@@ -0,0 +1,196 @@
+/**
+ * lib/mock/n8n.js - Stand-in for the n8n booking webhook
+ *
+ * Implements every action the app sends, with the response shapes the pages
+ * already parse: { key: 'Ongoing Booking' } while someone else holds the slot,
+ * { name: [...] } availability lists, { message: [...] } conflicts, and the
+ * { 'Booking ID', 'Free person' } answer to `free`. `user` is the block
+ * stamped by /api/n8n, so it is trusted here.
+ *
+ * Like the real webhook, booking_lock keeps its own lock on the slot for
+ * LOCK_TTL_MS, separate from the /api/slot-lock leases; /api/n8n turns its
+ * Ongoing Booking answer into 409 slot_locked.
+ */
+
+const { json } = require('../http');
+const { appendRecord } = require('../store');
+const db = require('./db');
+
+const LOCK_TTL_MS = 90 * 1000;
+
+function fail(message) {
+    return json(400, { ok: false, message });
+}
+
+/**
+ * "Name: 10:00, 12:00 | Other: 14:00, 16:30" for everyone already booked
+ * @param {string} dateKey
+ * @param {string} fromTime
+ * @param {string} toTime
+ * @param {string[]} names
+ * @returns {string[]} conflict messages (empty when the slot is free)
+ */
+function conflicts(dateKey, fromTime, toTime, names) {
+    const bookings = db.overlappingBookings(dateKey, db.toMinutes(fromTime), db.toMinutes(toTime));
+    const entries = [];
+    names.forEach(name => {
+        const clash = bookings.find(booking => db.participants(booking).some(person => db.sameName(person, name)));
+        if (clash) entries.push(`${name}: ${clash.fromTime}, ${clash.toTime}`);
+    });
+    return entries.length > 0 ? [entries.join(' | ')] : [];
+}
+
+function requireBooking(payload, field) {
+    const bookingId = payload[field]?.bookingId;
+    return db.findBooking(bookingId);
+}
+
+const ACTIONS = {
+    booking_lock(payload) {
+        const { dateKey, fromTime, toTime } = payload;
+        if (!db.toDateKey(dateKey) || !fromTime || !toTime) return fail('Missing dateKey, fromTime or toTime');
+        if (!db.acquireLock(dateKey, fromTime, toTime, payload.user.name, LOCK_TTL_MS)) {
+            return json(200, { key: 'Ongoing Booking' });
+        }
+        return json(200, { name: db.availablePeople(dateKey, fromTime, toTime) });
+    },
+
+    booking_submit(payload) {
+        const { dateKey, fromTime, toTime, shoot = {}, selected = {} } = payload;
+        if (!db.toDateKey(dateKey) || !fromTime || !toTime) return fail('Missing dateKey, fromTime or toTime');
+        const dops = db.splitNames(selected.dops);
+        const cast = db.splitNames(selected.names).filter(name => !dops.some(dop => db.sameName(dop, name)));
+        const creator = payload.user.name;
+
+        const message = conflicts(dateKey, fromTime, toTime, [creator, ...dops, ...cast]);
+        if (message.length > 0) return json(200, { message });
+
+        const booking = db.createBooking({
+            dateKey, fromTime, toTime, creator,
+            dops,
+            cast: cast.filter(name => !db.sameName(name, creator)),
+            shootName: shoot.shootName,
+            type: shoot.brand ? 'Brand' : 'IP',
+            bIpName: shoot.brand || shoot.ip,
+            noOfShoot: shoot.noOfShoot,
+            location: shoot.location
+        });
+        db.releaseLock(dateKey, fromTime, toTime);
+        return json(200, { ok: true, message: 'Booking confirmed', bookingId: booking.id });
+    },
+
+    pro_or_post(payload) {
+        const { dateKey, fromTime, toTime, productionDetails = {}, selected = {} } = payload;
+        if (!db.toDateKey(dateKey) || !fromTime || !toTime) return fail('Missing dateKey, fromTime or toTime');
+        const dops = db.splitNames(selected.dops);
+        const cast = db.splitNames(selected.names).filter(name => !dops.some(dop => db.sameName(dop, name)));
+        const creator = payload.user.name;
+
+        const message = conflicts(dateKey, fromTime, toTime, [creator, ...dops, ...cast]);
+        if (message.length > 0) return json(200, { message });
+
+        const booking = db.createBooking({
+            dateKey, fromTime, toTime, creator,
+            dops,
+            cast: cast.filter(name => !db.sameName(name, creator)),
+            shootName: productionDetails.workName,
+            type: productionDetails.brandIpCampaignType,
+            bIpName: productionDetails.brandIpCampaignValue,
+            noOfShoot: productionDetails.number || 1,
+            taskType: productionDetails.productionStageType,
+            taskName: productionDetails.productionStageValue,
+            remark1: productionDetails.remark
+        });
+        db.releaseLock(dateKey, fromTime, toTime);
+        return json(200, { ok: true, message: 'Task booked', bookingId: booking.id });
+    },
+
+    slotcheck_time(payload) {
+        const { dateKey, fromTime, toTime } = payload;
+        if (!db.toDateKey(dateKey) || !fromTime || !toTime) return fail('Missing dateKey, fromTime or toTime');
+        return json(200, { name: db.availablePeople(dateKey, fromTime, toTime) });
+    },
+
+    slotcheck_creators(payload) {
+        const { dateKey, creators = [] } = payload;
+        if (!db.toDateKey(dateKey)) return fail('Missing dateKey');
+        const toText = ranges => ranges.map(([from, to]) => `${db.formatAmPm(from)} to ${db.formatAmPm(to)}`).join('\n');
+
+        let common = [[0, 24 * 60 - 1]];
+        const data = creators.map(name => {
+            const { booked, free } = db.schedule(dateKey, name);
+            common = common.flatMap(([from, to]) => free
+                .map(([freeFrom, freeTo]) => [Math.max(from, freeFrom), Math.min(to, freeTo)])
+                .filter(([start, end]) => start < end));
+            return { Creators: name, Available: toText(free), Booked: toText(booked) };
+        });
+        return json(200, { data, common_free_text: toText(common) });
+    },
+
+    update_booking(payload) {
+        const booking = requireBooking(payload, 'booking');
+        if (!booking) return fail('Booking not found');
+        const { newDop, newCast, newNoOfShoot } = payload.booking;
+        booking.dops = db.splitNames(newDop);
+        booking.cast = db.splitNames(newCast).filter(name => !booking.dops.some(dop => db.sameName(dop, name)));
+        if (newNoOfShoot) booking.noOfShoot = newNoOfShoot;
+        return json(200, { ok: true, message: 'Booking updated', bookingId: booking.id });
+    },
+
+    delete_booking(payload) {
+        const booking = requireBooking(payload, 'booking');
+        if (!booking) return fail('Booking not found');
+        booking.status = 'Deleted';
+        booking.deleteReason = payload.booking.deleteReason || '';
+        return json(200, { ok: true, message: 'Booking deleted', bookingId: booking.id });
+    },
+
+    free(payload) {
+        const booking = requireBooking(payload, 'booking');
+        if (!booking) return fail('Booking not found');
+        if (!booking.freePeople.some(name => db.sameName(name, payload.user.name))) {
+            booking.freePeople.push(payload.user.name);
+        }
+        return json(200, { 'Booking ID': booking.id, 'Free person': booking.freePeople.join(', ') });
+    },
+
+    booking_complete(payload) {
+        const booking = requireBooking(payload, 'bookingData');
+        if (!booking) return fail('Booking not found');
+        booking.status = 'Completed';
+        booking.remark2 = payload.completeData?.remark2 || '';
+        booking.docLink = payload.completeData?.links || '';
+        return json(200, { ok: true, message: 'Booking completed', bookingId: booking.id });
+    },
+
+    update_attendance() {
+        return json(200, { ok: true, message: 'Attendance notification sent' });
+    },
+
+    async send_email(payload) {
+        await appendRecord('outbox', { to: payload.to, subject: payload.subject, text: payload.text, sentAt: new Date().toISOString() });
+        return json(200, { ok: true });
+    }
+};
+
+const n8n = {
+    methods: ['POST'],
+    async handle(request) {
+        const payload = request.body || {};
+        const action = ACTIONS[payload.action];
+        if (!action) return fail(`Unknown action: ${payload.action}`);
+        payload.user = payload.user || {};
+
+        const response = await action(payload);
+        const requestId = request.headers['x-request-id'];
+        if (requestId && response.status === 200) {
+            const body = JSON.parse(response.body);
+            if (!Array.isArray(body)) {
+                return json(200, { ...body, request_id: requestId });
+            }
+        }
+        return response;
+    }
+};
+
+module.exports = { n8n };
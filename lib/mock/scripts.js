@@ -0,0 +1,201 @@
+/**
+ * lib/mock/scripts.js - Stand-ins for the Google Apps Scripts
+ *
+ * Each export is a route definition ({ methods, handle }) answering in the
+ * same shape as the real script, backed by lib/mock/db.js.
+ */
+
+const { json } = require('../http');
+const { PEOPLE, BRANDS, IPS, CAMPAIGNS, PRE_PRODUCTION, POST_PRODUCTION } = require('./fixtures');
+const db = require('./db');
+
+// The real scripts report failures as 200 { ok: false, error }
+function scriptError(message) {
+    return json(200, { ok: false, error: message });
+}
+
+function rowsForRange(fromValue, toValue) {
+    const from = db.toDateKey(fromValue);
+    const to = db.toDateKey(toValue) || from;
+    if (!from) return null;
+    return db.state.bookings
+        .filter(booking => booking.dateKey >= from && booking.dateKey <= to)
+        .sort((a, b) => (a.dateKey + a.fromTime).localeCompare(b.dateKey + b.fromTime));
+}
+
+const auth = {
+    methods: ['POST'],
+    async handle(request) {
+        const body = request.body || {};
+        const email = String(body.email || '').trim().toLowerCase();
+        const user = db.state.users[email];
+
+        if (body.action === 'get_user') {
+            return json(200, user ? { ok: true, user } : { ok: false });
+        }
+        if (body.action === 'set_password_hash') {
+            if (!user) return json(200, { ok: false, message: 'User not found' });
+            user.password_hash = body.password_hash;
+            return json(200, { ok: true });
+        }
+        if (body.action === 'set_session_epoch') {
+            if (!user) return json(200, { ok: false, message: 'User not found' });
+            user.session_epoch = body.session_epoch;
+            return json(200, { ok: true });
+        }
+        return sharedStore(body) || json(200, { ok: false, message: `Unknown action: ${body.action}` });
+    }
+};
+
+/**
+ * The auth script's shared storage actions (lib/shared-store.js)
+ * @param {object} body
+ * @returns {object|null} response, or null for other actions
+ */
+function sharedStore(body) {
+    if (body.action === 'append_record') {
+        if (!body.collection || !body.record) return json(200, { ok: false, message: 'Missing collection or record' });
+        if (!db.state.records.has(body.collection)) db.state.records.set(body.collection, []);
+        db.state.records.get(body.collection).push(JSON.stringify(body.record));
+        return json(200, { ok: true });
+    }
+    if (body.action === 'read_records') {
+        const rows = db.state.records.get(body.collection) || [];
+        const limit = Number(body.limit) || rows.length;
+        return json(200, { ok: true, records: rows.slice(-limit).reverse().map(row => JSON.parse(row)) });
+    }
+    if (body.action === 'get_state') {
+        const entry = db.state.shared.get(body.key);
+        return json(200, { ok: true, value: entry ? JSON.parse(entry.value) : null, version: entry ? entry.version : 0 });
+    }
+    if (body.action === 'put_state') {
+        const entry = db.state.shared.get(body.key);
+        const version = entry ? entry.version : 0;
+        if (Number(body.version) !== version) return json(200, { ok: false, conflict: true });
+        db.state.shared.set(body.key, { value: JSON.stringify(body.value ?? null), version: version + 1 });
+        return json(200, { ok: true, version: version + 1 });
+    }
+    return null;
+}
+
+const creators = {
+    methods: ['GET'],
+    async handle() {
+        const names = PEOPLE.filter(person => person.role === 'Creator').map(person => person.name);
+        return json(200, { ok: true, names });
+    }
+};
+
+// ?brandips= value (lowercase) -> names
+const NAME_LISTS = {
+    'brand': BRANDS,
+    'ip': IPS,
+    'campaign': CAMPAIGNS,
+    'pre-production': PRE_PRODUCTION,
+    'post-production': POST_PRODUCTION
+};
+
+const brandip = {
+    methods: ['GET'],
+    async handle(request) {
+        const names = NAME_LISTS[String(request.query.brandips || '').toLowerCase()];
+        if (names) return json(200, { ok: true, names });
+        return scriptError('brandips must be Brand, IP, Campaign, Pre-Production or Post-Production');
+    }
+};
+
+const myday = {
+    methods: ['GET'],
+    async handle(request) {
+        const employee = request.query.employee || request.query.name;
+        if (!employee) return scriptError('Missing employee');
+        const rows = db.bookingsFor(employee).map(booking => db.myDayRow(booking, employee));
+        return json(200, { ok: true, rows });
+    }
+};
+
+const adminData = {
+    methods: ['GET'],
+    async handle(request) {
+        const { date, from_date, to_date } = request.query;
+        const bookings = rowsForRange(date || from_date, date || to_date);
+        if (!bookings) return scriptError('Missing date or from_date/to_date');
+        const rows = bookings.map(db.adminRow);
+        return json(200, { ok: true, count: rows.length, rows });
+    }
+};
+
+const attendance = {
+    methods: ['GET', 'POST'],
+    async handle(request) {
+        if (request.method === 'POST') {
+            const { action, date, employee, attendance: status } = request.body || {};
+            const dateKey = db.toDateKey(date);
+            if (!dateKey || !employee || !status) return scriptError('Missing date, employee or attendance');
+            const key = `${dateKey}|${employee}`;
+            if (action === 'write' && db.state.attendance.has(key)) {
+                return scriptError('Attendance already recorded for this date');
+            }
+            db.state.attendance.set(key, status);
+            return json(200, { ok: true, message: action === 'update' ? 'Attendance updated' : 'Attendance recorded' });
+        }
+
+        const action = String(request.query.action || 'read').toLowerCase();
+        const records = [...db.state.attendance.entries()].map(([key, status]) => {
+            const [dateKey, employee] = key.split('|');
+            return { dateKey, employee, status };
+        });
+
+        if (action === 'read') {
+            const employee = request.query.employee;
+            if (!employee) return scriptError('Missing employee');
+            // The attendance page keys its cards by DD/MM/YYYY
+            const rows = records
+                .filter(record => db.sameName(record.employee, employee))
+                .map(record => ({ Date: db.slashDate(record.dateKey), Attendance: record.status }));
+            return json(200, { ok: true, rows });
+        }
+        if (action === 'read_all') {
+            const from = db.toDateKey(request.query.from);
+            const to = db.toDateKey(request.query.to) || from;
+            if (!from) return scriptError('Missing from');
+            const rows = records
+                .filter(record => record.dateKey >= from && record.dateKey <= to)
+                .map(record => ({ Date: db.sheetDate(record.dateKey), Employee: record.employee, Attendance: record.status }));
+            return json(200, { ok: true, rows });
+        }
+        return scriptError(`Unknown action: ${action}`);
+    }
+};
+
+/**
+ * One row per person per booking, plus that day's attendance, for the
+ * employees utilisation page
+ */
+const employees = {
+    methods: ['GET'],
+    async handle() {
+        const rows = [];
+        db.state.bookings.forEach(booking => {
+            const minutes = db.toMinutes(booking.toTime) - db.toMinutes(booking.fromTime);
+            const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+            db.participants(booking).forEach(name => {
+                rows.push({
+                    'Employee': name,
+                    'Date': db.sheetDate(booking.dateKey),
+                    'Attendace': db.state.attendance.get(`${booking.dateKey}|${name}`) || '-',
+                    'Time': time,
+                    'Type': booking.type,
+                    'Brand': booking.type === 'Brand' ? booking.bIpName : '',
+                    'B_IP_Name': booking.bIpName,
+                    'No Of Shoot': booking.noOfShoot,
+                    'Task type': booking.taskType,
+                    'Final Status': booking.status
+                });
+            });
+        });
+        return json(200, { ok: true, data: rows });
+    }
+};
+
+module.exports = { auth, creators, brandip, myday, adminData, attendance, employees };
@@ -0,0 +1,92 @@
+/**
+ * lib/password.js - Salted scrypt password hashes with a versioned format
+ *
+ * Stored hashes look like
+ *
+ *   $scrypt$v=1$n=16384,r=8,p=1$<salt base64>$<hash base64>
+ *
+ * Legacy rows hold an unsalted SHA-256 hex digest. Both verify here; a
+ * successful legacy (or outdated-parameter) verification reports
+ * needsRehash so the caller can upgrade the stored hash.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const VERSION = 1;
+const PARAMS = { n: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+const SALT_BYTES = 16;
+const LEGACY_SHA256 = /^[a-f0-9]{64}$/i;
+
+async function derive(password, salt, { n, r, p }) {
+    return scrypt(String(password).normalize('NFKC'), salt, KEY_LENGTH, {
+        N: n,
+        r,
+        p,
+        maxmem: 128 * n * r * 2
+    });
+}
+
+/**
+ * Hash a password with the current scrypt parameters
+ * @param {string} password
+ * @returns {Promise<string>} encoded hash
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await derive(password, salt, PARAMS);
+    const { n, r, p } = PARAMS;
+    return `$scrypt$v=${VERSION}$n=${n},r=${r},p=${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Parse an encoded scrypt hash
+ * @param {string} stored
+ * @returns {object|null} { version, params, salt, key }
+ */
+function parseHash(stored) {
+    const match = /^\$scrypt\$v=(\d+)\$n=(\d+),r=(\d+),p=(\d+)\$([^$]+)\$([^$]+)$/.exec(stored || '');
+    if (!match) return null;
+    return {
+        version: Number(match[1]),
+        params: { n: Number(match[2]), r: Number(match[3]), p: Number(match[4]) },
+        salt: Buffer.from(match[5], 'base64'),
+        key: Buffer.from(match[6], 'base64')
+    };
+}
+
+function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verify a password against a stored hash (scrypt or legacy SHA-256)
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<{ok: boolean, needsRehash: boolean}>}
+ */
+async function verifyPassword(password, stored) {
+    if (typeof stored === 'string' && LEGACY_SHA256.test(stored)) {
+        const digest = crypto.createHash('sha256').update(String(password)).digest();
+        const ok = safeEqual(digest, Buffer.from(stored, 'hex'));
+        return { ok, needsRehash: ok };
+    }
+
+    const parsed = parseHash(stored);
+    if (!parsed) {
+        // Burn comparable time so unknown users are not distinguishable
+        await hashPassword(password);
+        return { ok: false, needsRehash: false };
+    }
+
+    const key = await derive(password, parsed.salt, parsed.params);
+    const ok = safeEqual(key, parsed.key);
+    const outdated = parsed.version !== VERSION ||
+        parsed.params.n !== PARAMS.n || parsed.params.r !== PARAMS.r || parsed.params.p !== PARAMS.p;
+    return { ok, needsRehash: ok && outdated };
+}
+
+module.exports = { hashPassword, verifyPassword, parseHash };
@@ -0,0 +1,92 @@
+/**
+ * lib/policy.js - Who may send which action through /api/n8n
+ *
+ * The permission each action needs comes from the role model (the `actions`
+ * table in lib/roles.json). Some actions also have an ownership rule checked
+ * against the bookings sheet:
+ *
+ *   lead   - the caller must be the booking's shoot lead (Creator column)
+ *   member - the caller must be on the booking but not its lead
+ *
+ * bookings.edit_any passes every ownership check, and only
+ * bookings.on_behalf may book on behalf of someone else (onBehalfOf).
+ * While an admin views the app as someone, only READ_ONLY_ACTIONS pass.
+ */
+
+const { HttpError } = require('./http');
+const { can, actionPermission } = require('./roles');
+const { viewAsReadOnly } = require('./session');
+const { findEmployeeBooking, sameName } = require('./bookings');
+
+// action -> ownership rule, for the actions that have one
+const OWNERSHIP = {
+    update_booking: { ownership: 'lead', bookingId: p => p.booking?.bookingId },
+    delete_booking: { ownership: 'lead', bookingId: p => p.booking?.bookingId },
+    booking_complete: { ownership: 'lead', bookingId: p => p.bookingData?.bookingId },
+    free: { ownership: 'member', bookingId: p => p.booking?.bookingId }
+};
+
+// Actions that only look things up
+const READ_ONLY_ACTIONS = ['slotcheck_time', 'slotcheck_creators'];
+
+/**
+ * @param {string} message
+ * @param {string} action
+ * @returns {HttpError} 403 in the shape the UI displays
+ */
+function forbidden(message, action) {
+    return new HttpError(403, message, { code: 'forbidden', action });
+}
+
+async function checkOwnership(policy, payload, session) {
+    const bookingId = policy.bookingId(payload);
+    if (!bookingId) {
+        throw new HttpError(400, 'Missing booking ID', { action: payload.action });
+    }
+
+    const booking = await findEmployeeBooking(session.name, bookingId);
+    if (!booking) {
+        throw forbidden('This booking is not one of yours.', payload.action);
+    }
+
+    const isLead = sameName(booking['Creator'], session.name);
+    if (policy.ownership === 'lead' && !isLead) {
+        throw forbidden('Only the shoot lead can change this booking.', payload.action);
+    }
+    if (policy.ownership === 'member' && isLead) {
+        throw forbidden('The shoot lead cannot free themselves from their own booking.', payload.action);
+    }
+}
+
+/**
+ * Enforce the policy for an n8n payload
+ * @param {object} payload - client payload (before the user is stamped)
+ * @param {object} session - verified session user
+ * @returns {Promise<void>}
+ * @throws {HttpError} 400 for unknown actions, 403 when not allowed
+ */
+async function authorize(payload, session) {
+    const permission = actionPermission(payload.action);
+    if (!permission) {
+        throw new HttpError(400, `Unknown action: ${payload.action || '(none)'}`, { action: payload.action });
+    }
+
+    if (session.impersonator && !READ_ONLY_ACTIONS.includes(payload.action)) {
+        throw viewAsReadOnly();
+    }
+
+    if (!can(session, permission)) {
+        throw forbidden(`Your role (${session.role}) is not allowed to perform ${payload.action}.`, payload.action);
+    }
+
+    if (payload.onBehalfOf && !can(session, 'bookings.on_behalf')) {
+        throw forbidden('You cannot book on behalf of someone else.', payload.action);
+    }
+
+    const policy = OWNERSHIP[payload.action];
+    if (policy && !can(session, 'bookings.edit_any')) {
+        await checkOwnership(policy, payload, session);
+    }
+}
+
+module.exports = { OWNERSHIP, READ_ONLY_ACTIONS, authorize };
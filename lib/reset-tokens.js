@@ -0,0 +1,71 @@
+/**
+ * lib/reset-tokens.js - Single-use, time-limited password reset tokens
+ *
+ * A token is an HMAC-signed { email, exp, fp } where fp fingerprints the
+ * user's stored password hash at issue time. Once the password changes the
+ * fingerprint no longer matches, so a token works at most once without any
+ * server-side token storage.
+ */
+
+const crypto = require('crypto');
+const { signingSecret } = require('./session');
+
+const TOKEN_TTL_MS = 30 * 60 * 1000;
+
+function sign(data) {
+    return crypto.createHmac('sha256', signingSecret()).update(`reset:${data}`).digest('base64url');
+}
+
+/**
+ * @param {string} passwordHash - currently stored hash (may be empty)
+ * @returns {string}
+ */
+function fingerprint(passwordHash) {
+    return crypto.createHash('sha256').update(String(passwordHash || '')).digest('base64url').slice(0, 22);
+}
+
+/**
+ * Issue a reset token for a user
+ * @param {object} user - { email, password_hash }
+ * @returns {string} token
+ */
+function createResetToken(user) {
+    const payload = { email: user.email, exp: Date.now() + TOKEN_TTL_MS, fp: fingerprint(user.password_hash) };
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${sign(data)}`;
+}
+
+/**
+ * Decode a token whose signature and expiry are valid
+ * @param {string} token
+ * @returns {object|null} { email, exp, fp }
+ */
+function readResetToken(token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const [data, signature] = token.split('.');
+    const expected = sign(data);
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+    } catch (e) {
+        return null;
+    }
+    return payload.exp > Date.now() ? payload : null;
+}
+
+/**
+ * Whether a decoded token still matches the user's current password hash
+ * @param {object} payload - from readResetToken
+ * @param {object} user - { password_hash }
+ * @returns {boolean}
+ */
+function tokenMatchesUser(payload, user) {
+    return payload.fp === fingerprint(user.password_hash);
+}
+
+module.exports = { TOKEN_TTL_MS, createResetToken, readResetToken, tokenMatchesUser };
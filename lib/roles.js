@@ -0,0 +1,188 @@
+/**
+ * lib/roles.js - Roles, permissions and the pages each role sees
+ *
+ * The whole model lives in one JSON file (lib/roles.json, or ROLES_FILE):
+ *
+ *   permissions - every permission name, with what it allows
+ *   pages       - nav tabs in display order, each behind one permission
+ *   actions     - the permission each /api/n8n action needs
+ *   roles       - { key: { label, inherits: [role], permissions: [...] } }
+ *   defaultRole - used for sheet roles the file does not name
+ *
+ * Role names from the employees sheet are matched case-insensitively
+ * ('Admin', 'admin ' and 'ADMIN' are the same role), and a role has its own
+ * permissions plus everything its parents have. Adding a role such as
+ * Manager is an edit to the JSON file only.
+ *
+ * The file is read and checked on first use. Mistakes (unknown permissions,
+ * missing parents, inheritance loops) throw a ConfigError, which dispatch
+ * and server.js report exactly like a bad env var.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+const { config, ConfigError } = require('./config');
+const { requireSession } = require('./session');
+
+const DEFAULT_FILE = path.join(__dirname, 'roles.json');
+
+let cached = null;   // { model } or { error }
+
+/**
+ * @param {string} role - role as stored on the user, e.g. 'Admin'
+ * @returns {string} role key, e.g. 'admin'
+ */
+function normalizeRole(role) {
+    return String(role || '').trim().toLowerCase();
+}
+
+/**
+ * Check a parsed role file and resolve inheritance
+ * @param {object} definition
+ * @returns {object} { model } or { problems: string[] }
+ */
+function compile(definition) {
+    const problems = [];
+    const permissions = definition.permissions || {};
+    const pages = Array.isArray(definition.pages) ? definition.pages : [];
+    const actions = definition.actions || {};
+    const roles = {};
+    Object.entries(definition.roles || {}).forEach(([key, role]) => {
+        roles[normalizeRole(key)] = role;
+    });
+
+    const checkPermission = (permission, where) => {
+        if (!Object.prototype.hasOwnProperty.call(permissions, permission)) {
+            problems.push(`${where} uses unknown permission "${permission}"`);
+        }
+    };
+    pages.forEach(page => checkPermission(page.permission, `page ${page.url}`));
+    Object.entries(actions).forEach(([action, permission]) => checkPermission(permission, `action ${action}`));
+
+    // role key -> Set of permissions, own and inherited
+    const resolved = new Map();
+    const resolve = (key, chain) => {
+        if (resolved.has(key)) return resolved.get(key);
+        if (chain.includes(key)) {
+            problems.push(`roles inherit in a loop: ${[...chain, key].join(' -> ')}`);
+            return new Set();
+        }
+        const role = roles[key];
+        const granted = new Set();
+        (role.permissions || []).forEach(permission => {
+            checkPermission(permission, `role ${key}`);
+            granted.add(permission);
+        });
+        (role.inherits || []).forEach(parent => {
+            const parentKey = normalizeRole(parent);
+            if (!roles[parentKey]) {
+                problems.push(`role ${key} inherits unknown role "${parent}"`);
+                return;
+            }
+            resolve(parentKey, [...chain, key]).forEach(permission => granted.add(permission));
+        });
+        resolved.set(key, granted);
+        return granted;
+    };
+    Object.keys(roles).forEach(key => resolve(key, []));
+
+    const defaultRole = normalizeRole(definition.defaultRole);
+    if (!roles[defaultRole]) {
+        problems.push(`defaultRole "${definition.defaultRole || ''}" is not one of the roles`);
+    }
+
+    if (problems.length > 0) return { problems };
+
+    const model = { defaultRole, pages, actions, roles: {} };
+    Object.entries(roles).forEach(([key, role]) => {
+        model.roles[key] = { key, label: role.label || key, permissions: resolved.get(key) };
+    });
+    return { model };
+}
+
+/**
+ * The role model, read on first use
+ * @returns {object} { defaultRole, pages, actions, roles: { key: { key, label, permissions: Set } } }
+ * @throws {ConfigError} on every call while the role file is invalid
+ */
+function roleModel() {
+    if (!cached) {
+        const problem = message => ({ name: 'ROLES_FILE', feature: 'Roles', message });
+        const file = config().rolesFile ? path.resolve(config().rolesFile) : DEFAULT_FILE;
+        let compiled;
+        try {
+            compiled = compile(JSON.parse(fs.readFileSync(file, 'utf-8')));
+        } catch (err) {
+            compiled = { problems: [`could not be read (${err.message})`] };
+        }
+        cached = compiled.model
+            ? { model: compiled.model }
+            : { error: new ConfigError(compiled.problems.map(problem)) };
+    }
+    if (cached.error) throw cached.error;
+    return cached.model;
+}
+
+/**
+ * @param {object} user - session or user object with a `role`
+ * @returns {object} role from the model; unknown roles get the default role
+ */
+function roleOf(user) {
+    const { roles, defaultRole } = roleModel();
+    return roles[normalizeRole(user?.role)] || roles[defaultRole];
+}
+
+/**
+ * @param {object} user - session or user object
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function can(user, permission) {
+    return Boolean(user) && roleOf(user).permissions.has(permission);
+}
+
+/**
+ * @param {string} action - n8n action
+ * @returns {string|null} permission it needs, or null for unknown actions
+ */
+function actionPermission(action) {
+    return roleModel().actions[action] || null;
+}
+
+/**
+ * Like requireSession, but also fails with 403 without the permission
+ * @param {object} request
+ * @param {string} permission
+ * @returns {object} session
+ * @throws {HttpError} 401 or 403
+ */
+function requirePermission(request, permission) {
+    const session = requireSession(request);
+    if (!can(session, permission)) {
+        throw new HttpError(403, 'You do not have access to this.', { code: 'forbidden', permission });
+    }
+    return session;
+}
+
+/**
+ * The user as the browser sees it: identity plus what their role allows
+ * @param {object} user - { email, name, role, impersonator? }
+ * @returns {object} { email, name, role, permissions, pages, impersonator }
+ */
+function describeUser(user) {
+    const role = roleOf(user);
+    return {
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        permissions: [...role.permissions].sort(),
+        pages: roleModel().pages
+            .filter(page => role.permissions.has(page.permission))
+            .map(page => ({ name: page.name, url: page.url })),
+        // The admin behind a "view as" session (lib/session.js)
+        impersonator: user.impersonator ? { email: user.impersonator.email, name: user.impersonator.name } : null
+    };
+}
+
+module.exports = { normalizeRole, roleModel, roleOf, can, actionPermission, requirePermission, describeUser };
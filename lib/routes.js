@@ -0,0 +1,30 @@
+/**
+ * lib/routes.js - API route table shared by server.js and api/*.js
+ *
+ * Every path here must also have a matching api/<name>.js Vercel function.
+ */
+
+const ROUTES = {
+    '/api/login': require('./handlers/login'),
+    '/api/session': require('./handlers/session'),
+    '/api/lockouts': require('./handlers/lockouts'),
+    '/api/sessions': require('./handlers/sessions'),
+    '/api/view-as': require('./handlers/view-as'),
+    '/api/audit': require('./handlers/audit'),
+    '/api/password-reset': require('./handlers/password-reset'),
+    '/api/n8n': require('./handlers/n8n'),
+    '/api/slot-lock': require('./handlers/slot-lock'),
+    '/api/events': require('./handlers/events'),
+    '/api/attendance': require('./handlers/attendance'),
+    '/api/config': require('./handlers/config'),
+    '/api/health': require('./handlers/health'),
+    '/api/metrics': require('./handlers/metrics'),
+    '/api/creators': require('./handlers/creators'),
+    '/api/brandip': require('./handlers/brandip'),
+    '/api/lists': require('./handlers/lists'),
+    '/api/employees': require('./handlers/employees'),
+    '/api/google-script': require('./handlers/google-script'),
+    '/api/admin-shoots': require('./handlers/admin-shoots')
+};
+
+module.exports = { ROUTES };
@@ -0,0 +1,269 @@
+/**
+ * lib/schemas.js - Payload schemas for the actions sent through /api/n8n
+ *
+ * Each action declares its fields with a small rule set:
+ *
+ *   { type: 'string', required, pattern, oneOf, maxLength }
+ *   { type: 'count' }              - whole number >= 1 (number or numeric string)
+ *   { type: 'array', items, minItems }
+ *   { type: 'object', fields }     - nested fields, reported as `parent.child`
+ *
+ * plus optional cross-field `checks`. Fields not listed are passed through
+ * untouched; only what the action relies on is validated. The same rules
+ * describe the body of /api/slot-lock.
+ */
+
+const { HttpError } = require('./http');
+
+const DATE_KEY = { type: 'string', required: true, pattern: /^\d{4}-\d{2}-\d{2}$/, hint: 'a YYYY-MM-DD date' };
+const TIME = { type: 'string', required: true, pattern: /^([01]\d|2[0-3]):[0-5]\d$/, hint: 'an HH:MM time' };
+const TEXT = { type: 'string', maxLength: 500 };
+const REQUIRED_TEXT = { ...TEXT, required: true };
+const NAMES = { type: 'array', items: { type: 'string', required: true, maxLength: 200 } };
+const BOOKING_ID = { type: 'string', required: true, maxLength: 100 };
+
+const SLOT = { dateKey: DATE_KEY, fromTime: TIME, toTime: TIME };
+const LOCK_ID = { type: 'string', required: true, maxLength: 100 };
+const SELECTED = { type: 'object', required: true, fields: { dops: NAMES, names: NAMES } };
+
+/**
+ * fromTime must be before toTime (both already valid HH:MM)
+ * @returns {object[]} errors
+ */
+function timeRange(payload) {
+    if (TIME.pattern.test(payload.fromTime) && TIME.pattern.test(payload.toTime) && payload.fromTime >= payload.toTime) {
+        return [{ field: 'toTime', message: 'must be after fromTime' }];
+    }
+    return [];
+}
+
+function brandOrIp(payload) {
+    const shoot = payload.shoot || {};
+    if (!String(shoot.brand || '').trim() && !String(shoot.ip || '').trim()) {
+        return [{ field: 'shoot.brand', message: 'or shoot.ip is required' }];
+    }
+    return [];
+}
+
+const SCHEMAS = {
+    booking_lock: { fields: SLOT, checks: [timeRange] },
+    slotcheck_time: { fields: SLOT, checks: [timeRange] },
+    slotcheck_creators: {
+        fields: {
+            dateKey: DATE_KEY,
+            creators: { ...NAMES, required: true, minItems: 1 }
+        }
+    },
+    booking_submit: {
+        fields: {
+            ...SLOT,
+            lockId: LOCK_ID,
+            shoot: {
+                type: 'object',
+                required: true,
+                fields: {
+                    shootName: REQUIRED_TEXT,
+                    brand: TEXT,
+                    ip: TEXT,
+                    noOfShoot: { type: 'count', required: true },
+                    location: REQUIRED_TEXT
+                }
+            },
+            selected: SELECTED,
+            onBehalfOf: { type: 'string', maxLength: 200 }
+        },
+        checks: [timeRange, brandOrIp]
+    },
+    pro_or_post: {
+        fields: {
+            ...SLOT,
+            lockId: LOCK_ID,
+            productionDetails: {
+                type: 'object',
+                required: true,
+                fields: {
+                    productionStageType: { type: 'string', required: true, oneOf: ['Pre-Production', 'Post-Production'] },
+                    productionStageValue: REQUIRED_TEXT,
+                    brandIpCampaignType: TEXT,
+                    brandIpCampaignValue: TEXT,
+                    workName: REQUIRED_TEXT,
+                    number: { type: 'count' },
+                    remark: TEXT
+                }
+            },
+            selected: SELECTED
+        },
+        checks: [timeRange]
+    },
+    update_booking: {
+        fields: {
+            booking: {
+                type: 'object',
+                required: true,
+                fields: {
+                    bookingId: BOOKING_ID,
+                    newDop: TEXT,
+                    newCast: TEXT,
+                    newNoOfShoot: { type: 'count', required: true }
+                }
+            },
+            removeUsers: NAMES,
+            addUsers: NAMES
+        }
+    },
+    delete_booking: {
+        fields: {
+            booking: { type: 'object', required: true, fields: { bookingId: BOOKING_ID, deleteReason: TEXT } }
+        }
+    },
+    free: {
+        fields: {
+            booking: { type: 'object', required: true, fields: { bookingId: BOOKING_ID } }
+        }
+    },
+    booking_complete: {
+        fields: {
+            bookingData: { type: 'object', required: true, fields: { bookingId: BOOKING_ID } },
+            completeData: {
+                type: 'object',
+                required: true,
+                fields: { remark2: TEXT, links: { type: 'string', maxLength: 2000 } }
+            }
+        }
+    },
+    update_attendance: {
+        fields: {
+            attendance: {
+                type: 'object',
+                required: true,
+                fields: {
+                    date: REQUIRED_TEXT,
+                    old_attendance: TEXT,
+                    new_attendance: REQUIRED_TEXT
+                }
+            }
+        }
+    }
+};
+
+/** Body of POST /api/slot-lock (lib/handlers/slot-lock.js) */
+const SLOT_LOCK_SCHEMA = { fields: SLOT, checks: [timeRange] };
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Check one value against a rule
+ * @param {*} value
+ * @param {object} rule
+ * @param {string} field - dotted path for error messages
+ * @returns {object[]} errors as { field, message }
+ */
+function checkValue(value, rule, field) {
+    if (isBlank(value) || (rule.type === 'string' && String(value).trim() === '')) {
+        return rule.required ? [{ field, message: 'is required' }] : [];
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return [{ field, message: 'must be a string' }];
+            if (rule.maxLength && value.length > rule.maxLength) {
+                return [{ field, message: `must be at most ${rule.maxLength} characters` }];
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return [{ field, message: `must be ${rule.hint}` }];
+            }
+            if (rule.oneOf && !rule.oneOf.includes(value)) {
+                return [{ field, message: `must be one of ${rule.oneOf.join(', ')}` }];
+            }
+            return [];
+
+        case 'count': {
+            const number = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+            if (!Number.isInteger(number) || number < 1) {
+                return [{ field, message: 'must be a whole number of at least 1' }];
+            }
+            return [];
+        }
+
+        case 'array':
+            if (!Array.isArray(value)) return [{ field, message: 'must be a list' }];
+            if (rule.minItems && value.length < rule.minItems) {
+                return [{ field, message: `must have at least ${rule.minItems} item(s)` }];
+            }
+            return value.flatMap((item, index) => checkValue(item, rule.items, `${field}[${index}]`));
+
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) return [{ field, message: 'must be an object' }];
+            return checkFields(value, rule.fields, `${field}.`);
+
+        default:
+            return [];
+    }
+}
+
+function checkFields(object, fields, prefix = '') {
+    return Object.entries(fields).flatMap(([name, rule]) => checkValue(object[name], rule, prefix + name));
+}
+
+/**
+ * Validate an object against a schema
+ * @param {object} object
+ * @param {object} schema - { fields, checks }
+ * @returns {object[]} errors as { field, message }; empty when valid
+ */
+function validate(object, schema) {
+    const errors = checkFields(object, schema.fields);
+    if (errors.length > 0) return errors;
+    return (schema.checks || []).flatMap(check => check(object));
+}
+
+/**
+ * Validate an n8n payload against its action's schema
+ * @param {object} payload
+ * @returns {object[]} errors as { field, message }; empty when valid or the action has no schema
+ */
+function validatePayload(payload) {
+    const schema = SCHEMAS[payload.action];
+    return schema ? validate(payload, schema) : [];
+}
+
+/**
+ * @param {object[]} errors
+ * @returns {string} "field message; field message"
+ */
+function summarize(errors) {
+    return errors.map(e => `${e.field} ${e.message}`).join('; ');
+}
+
+/**
+ * Like validatePayload, but fails with a structured 400
+ * @param {object} payload
+ * @throws {HttpError} 400 { code: 'invalid_payload', action, errors }
+ */
+function assertValidPayload(payload) {
+    const errors = validatePayload(payload);
+    if (errors.length > 0) {
+        throw new HttpError(400, `Invalid ${payload.action} request: ${summarize(errors)}`, {
+            code: 'invalid_payload',
+            action: payload.action,
+            errors
+        });
+    }
+}
+
+/**
+ * Validate a request body against a schema, failing with a structured 400
+ * @param {object} body
+ * @param {object} schema
+ * @throws {HttpError} 400 { code: 'invalid_payload', errors }
+ */
+function assertValid(body, schema) {
+    const errors = validate(body, schema);
+    if (errors.length > 0) {
+        throw new HttpError(400, `Invalid request: ${summarize(errors)}`, { code: 'invalid_payload', errors });
+    }
+}
+
+module.exports = { SCHEMAS, SLOT_LOCK_SCHEMA, validatePayload, assertValidPayload, assertValid };
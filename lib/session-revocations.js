@@ -0,0 +1,107 @@
+/**
+ * lib/session-revocations.js - Ending a person's sessions before they expire
+ *
+ * Session cookies are self-contained, so ending them early needs a time the
+ * server checks: each user has a session_epoch in the auth sheet
+ * (lib/users.js), and any session for that email issued up to the epoch
+ * (Unix seconds) is rejected by lib/session.js. Issue times are whole
+ * seconds, so the revocation's own second counts too: a login in that same
+ * second has to be repeated.
+ *
+ * The sheet is shared by every instance, so a revocation reaches all of
+ * them. verifySession() is synchronous, so epochs are kept in memory and
+ * re-read at most every REFRESH_MS per person; dispatch calls
+ * refreshRevocations() for the session's owner before each request. Other
+ * instances therefore notice a revocation within REFRESH_MS.
+ *
+ * Each revocation is also appended to the 'session_revocations' store for
+ * the admin page's history, which like the lockout history is per instance
+ * on Vercel (/tmp).
+ */
+
+const { appendRecord, readRecords } = require('./store');
+const { getUser, setSessionEpoch } = require('./users');
+const { log } = require('./log');
+
+const COLLECTION = 'session_revocations';
+const REFRESH_MS = 60 * 1000;
+
+const epochs = new Map();    // email -> { before: Unix seconds, checkedAt }
+const loading = new Map();   // email -> Promise while the sheet is read
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function remember(email, before) {
+    const known = epochs.get(email);
+    epochs.set(email, { before: Math.max(before, known?.before || 0), checkedAt: Date.now() });
+}
+
+/**
+ * Re-read the person's epoch from the sheet if the in-memory copy is older
+ * than REFRESH_MS
+ * @param {string} email - owner of a validly signed session
+ * @returns {Promise<void>}
+ */
+function refreshRevocations(email) {
+    email = normalizeEmail(email);
+    const known = epochs.get(email);
+    if (!email || (known && Date.now() - known.checkedAt < REFRESH_MS)) return Promise.resolve();
+    if (!loading.has(email)) {
+        loading.set(email, getUser(email)
+            .then(user => {
+                remember(email, Number(user?.session_epoch) || 0);
+            })
+            .catch(err => {
+                // Keep what we have; the next request tries again
+                log.error('Could not read session revocations', { err });
+            })
+            .finally(() => {
+                loading.delete(email);
+            }));
+    }
+    return loading.get(email);
+}
+
+/**
+ * @param {object} payload - verified session payload
+ * @returns {boolean} true when the session was issued up to a revocation
+ */
+function isRevoked(payload) {
+    const known = epochs.get(normalizeEmail(payload.email));
+    return Boolean(known?.before) && payload.iat <= known.before;
+}
+
+/**
+ * End every session the person currently has, on every instance
+ * @param {string} email
+ * @param {object} by - session of whoever asked ({ name, email })
+ * @param {string} scope - 'self' (sign out everywhere) or 'admin'
+ * @returns {Promise<object>} the stored record
+ * @throws {HttpError} 502 when the sheet could not be updated
+ */
+async function revokeSessions(email, by, scope) {
+    const record = {
+        at: new Date().toISOString(),
+        email: normalizeEmail(email),
+        before: Math.floor(Date.now() / 1000),
+        by: by.email,
+        scope
+    };
+    await setSessionEpoch(record.email, record.before);
+    remember(record.email, record.before);
+    await appendRecord(COLLECTION, record);
+    log.info('Sessions revoked', { scope });
+    return record;
+}
+
+/**
+ * @param {number} [limit]
+ * @returns {Promise<object[]>} newest first, as recorded on this instance
+ */
+function listRevocations(limit = 50) {
+    return readRecords(COLLECTION, { limit });
+}
+
+module.exports = { refreshRevocations, isRevoked, revokeSessions, listRevocations };
@@ -0,0 +1,314 @@
+/**
+ * lib/session.js - Signed, expiring session cookies
+ *
+ * A session is `<base64url(JSON payload)>.<base64url(HMAC-SHA256)>` stored in
+ * the HttpOnly cf_session cookie. The payload carries the verified
+ * { email, name, role } plus issue/expiry times, so any instance holding
+ * SESSION_SECRET can verify it without shared storage.
+ *
+ * A session ends at whichever comes first:
+ *   exp  - SESSION_TTL_HOURS after login (absolute lifetime)
+ *   seen - SESSION_IDLE_MINUTES after the last activity; the browser reports
+ *          activity with POST /api/session, which re-issues the cookie
+ *          (touchSession). Background polling does not count.
+ *   a revocation of the person's sessions (lib/session-revocations.js),
+ *          checked against the auth sheet before each request
+ *
+ * While an admin uses "view as" (lib/handlers/view-as.js) the payload also
+ * carries viewAs: { email, name, role }. getSession() then answers with the
+ * viewed person as the user and the admin as `impersonator`, so every
+ * handler reads their data, and requireSession() refuses anything that
+ * would change data.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { config } = require('./config');
+const { isRevoked, refreshRevocations } = require('./session-revocations');
+
+const COOKIE_NAME = 'cf_session';
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+let ephemeralSecret = null;
+
+/**
+ * Signing secret. lib/config.js requires SESSION_SECRET on Vercel; elsewhere
+ * a random per-process secret is used when it is unset, so local sessions
+ * simply end on restart (server.js warns about it at startup).
+ * @returns {string}
+ */
+function secret() {
+    const { sessionSecret } = config();
+    if (sessionSecret) return sessionSecret;
+    if (!ephemeralSecret) {
+        ephemeralSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return ephemeralSecret;
+}
+
+function ttlSeconds() {
+    const hours = config().sessionTtlHours;
+    return Math.round(hours * 3600);
+}
+
+function idleSeconds() {
+    return config().sessionIdleMinutes * 60;
+}
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', secret()).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed session token for a verified user
+ * @param {object} user - { email, name, role }
+ * @returns {string} token
+ */
+function createSession(user) {
+    const now = nowSeconds();
+    return encode({
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        iat: now,
+        seen: now,
+        exp: now + ttlSeconds()
+    });
+}
+
+function encode(payload) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${sign(data)}`;
+}
+
+/**
+ * The session as handlers see it: while viewing as someone, that person
+ * @param {object} payload - verified session payload
+ * @returns {object} session; `impersonator` is the admin while viewing as
+ */
+function actingSession(payload) {
+    if (!payload.viewAs) return payload;
+    const { viewAs, ...rest } = payload;
+    return {
+        ...rest,
+        email: viewAs.email,
+        name: viewAs.name,
+        role: viewAs.role,
+        impersonator: { email: payload.email, name: payload.name, role: payload.role }
+    };
+}
+
+/**
+ * Inverse of actingSession(), for re-issuing a session
+ * @param {object} session
+ * @returns {object} payload
+ */
+function toPayload(session) {
+    if (!session.impersonator) return { ...session };
+    const { impersonator, email, name, role, ...rest } = session;
+    return { ...rest, ...impersonator, viewAs: { email, name, role } };
+}
+
+/**
+ * Re-issue a session with its idle clock restarted; the absolute expiry stays
+ * @param {object} session - from getSession()
+ * @returns {object} { token, session } - the new token and its session
+ */
+function touchSession(session) {
+    const touched = { ...toPayload(session), seen: nowSeconds() };
+    return { token: encode(touched), session: actingSession(touched) };
+}
+
+/**
+ * Re-issue a session viewing the app as someone else, or back as the admin
+ * @param {object} session - from getSession()
+ * @param {object|null} user - { email, name, role } to view as; null to stop
+ * @returns {object} { token, session } - the new token and its session
+ */
+function viewAsSession(session, user) {
+    const payload = toPayload(session);
+    delete payload.viewAs;
+    if (user) payload.viewAs = { email: user.email, name: user.name, role: user.role };
+    return { token: encode(payload), session: actingSession(payload) };
+}
+
+/**
+ * @returns {HttpError} 403 for changes attempted while viewing as someone
+ */
+function viewAsReadOnly() {
+    return new HttpError(403, 'You are viewing the app as someone else, so nothing can be changed. Exit "view as" first.', { code: 'read_only' });
+}
+
+/**
+ * When a session ends and when the browser should warn about it
+ * @param {object} session - verified session payload
+ * @returns {object} { expiresAt, idleExpiresAt, idleTimeoutSeconds, idleWarningSeconds }
+ */
+function sessionTimes(session) {
+    const idle = idleSeconds();
+    const seen = session.seen || session.iat;
+    return {
+        expiresAt: new Date(session.exp * 1000).toISOString(),
+        idleExpiresAt: new Date(Math.min(seen + idle, session.exp) * 1000).toISOString(),
+        idleTimeoutSeconds: idle,
+        // Never more than half the idle time, whatever SESSION_IDLE_WARNING_SECONDS says
+        idleWarningSeconds: Math.min(config().sessionIdleWarningSeconds, Math.floor(idle / 2))
+    };
+}
+
+/**
+ * @param {string} token
+ * @returns {object|null} payload if the signature is valid, expired or not
+ */
+function decode(token) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+    const [data, signature] = token.split('.');
+    const expected = sign(data);
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(data, 'base64url').toString());
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Verify a session token
+ * @param {string} token
+ * @returns {object|null} payload if the signature is valid and the session is
+ *   neither expired, idle for too long nor revoked
+ */
+function verifySession(token) {
+    const payload = decode(token);
+    if (!payload) return null;
+    const now = nowSeconds();
+    if (!payload.exp || payload.exp <= now) return null;
+    if ((payload.seen || payload.iat) + idleSeconds() <= now) return null;
+    if (isRevoked(payload)) return null;
+    return payload;
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} [header]
+ * @returns {object} name -> value
+ */
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (e) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+function isSecureRequest(request) {
+    return request.headers['x-forwarded-proto'] === 'https' || config().vercel;
+}
+
+/**
+ * Set-Cookie value carrying a session token
+ * @param {object} request - handler request (for the Secure flag)
+ * @param {string} token
+ * @param {number} [maxAge] - seconds; a touched session keeps its absolute expiry
+ * @returns {string}
+ */
+function sessionCookie(request, token, maxAge = ttlSeconds()) {
+    const parts = [
+        `${COOKIE_NAME}=${token}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${maxAge}`
+    ];
+    if (isSecureRequest(request)) parts.push('Secure');
+    return parts.join('; ');
+}
+
+/**
+ * Set-Cookie value that removes the session cookie
+ * @param {object} request
+ * @returns {string}
+ */
+function clearSessionCookie(request) {
+    const parts = [`${COOKIE_NAME}=`, 'Path=/', 'HttpOnly', 'SameSite=Lax', 'Max-Age=0'];
+    if (isSecureRequest(request)) parts.push('Secure');
+    return parts.join('; ');
+}
+
+/**
+ * Read the verified session user from a request
+ * @param {object} request - handler request
+ * @returns {object|null} { email, name, role, iat, exp, seen, impersonator? }
+ */
+function getSession(request) {
+    const token = parseCookies(request.headers.cookie)[COOKIE_NAME];
+    const payload = token ? verifySession(token) : null;
+    return payload ? actingSession(payload) : null;
+}
+
+/**
+ * Bring the revocation time of the request's session owner up to date, so
+ * the synchronous checks in verifySession() see revocations made on other
+ * instances. Only genuine, unexpired sessions cause a lookup.
+ * @param {object} request - handler request
+ * @returns {Promise<void>}
+ */
+function refreshSessionRevocation(request) {
+    const payload = decode(parseCookies(request.headers.cookie)[COOKIE_NAME]);
+    if (!payload || !payload.exp || payload.exp <= nowSeconds()) return Promise.resolve();
+    return refreshRevocations(payload.email);
+}
+
+/**
+ * Like getSession, but fails with 401 when there is no valid session, and
+ * with 403 when a request that may change data arrives while viewing as
+ * @param {object} request
+ * @param {object} [options]
+ * @param {boolean} [options.readOnly] - this POST/DELETE changes nothing
+ *   (or checks for itself), so it is allowed while viewing as
+ * @returns {object} session
+ * @throws {HttpError} 401 or 403
+ */
+function requireSession(request, { readOnly = false } = {}) {
+    const session = getSession(request);
+    if (!session) {
+        throw new HttpError(401, 'Your session has expired. Please log in again.', { code: 'unauthenticated' });
+    }
+    if (session.impersonator && !readOnly && !READ_METHODS.includes(request.method)) {
+        throw viewAsReadOnly();
+    }
+    return session;
+}
+
+module.exports = {
+    COOKIE_NAME,
+    signingSecret: secret,
+    createSession,
+    touchSession,
+    viewAsSession,
+    viewAsReadOnly,
+    sessionTimes,
+    verifySession,
+    parseCookies,
+    sessionCookie,
+    clearSessionCookie,
+    getSession,
+    refreshSessionRevocation,
+    requireSession
+};
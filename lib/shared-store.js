@@ -0,0 +1,107 @@
+/**
+ * lib/shared-store.js - Server state shared by every instance
+ *
+ * On Vercel each API route is a separate function with its own memory and
+ * its own /tmp, so anything one route writes and another reads (lockouts,
+ * slot leases, the audit trail, ...) is kept in the auth Apps Script's
+ * sheet, next to the users (lib/users.js):
+ *
+ *   POST { action: 'append_record', collection, record }
+ *     -> { ok: true } | { ok: false, message }
+ *   POST { action: 'read_records', collection, limit }
+ *     -> { ok: true, records }                  newest first; limit is optional
+ *   POST { action: 'get_state', key }
+ *     -> { ok: true, value, version }           null and 0 until first written
+ *   POST { action: 'put_state', key, value, version }
+ *     -> { ok: true, version } | { ok: false, conflict: true }
+ *
+ * Records are append-only. A state value is any JSON value, and put_state
+ * only writes while the stored version still equals `version` (the script
+ * holds its LockService lock for the compare and the write), so
+ * updateState() never loses a change made by another instance in between.
+ */
+
+const { HttpError } = require('./http');
+const { scriptUrl } = require('./apps-script');
+const upstream = require('./upstream');
+
+const MAX_ATTEMPTS = 5;
+const READ_ACTIONS = ['read_records', 'get_state'];
+
+async function callStore(body) {
+    const response = await upstream.request('auth', scriptUrl('auth'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        idempotent: READ_ACTIONS.includes(body.action)
+    });
+
+    let data;
+    try {
+        data = JSON.parse(response.text);
+    } catch (err) {
+        throw new HttpError(502, 'Shared storage error: invalid response');
+    }
+    if (!response.ok || (!data.ok && !data.conflict)) {
+        throw new HttpError(502, `Shared storage error: ${data?.message || response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Append one record to a collection
+ * @param {string} collection - e.g. 'lockouts'
+ * @param {object} record
+ * @returns {Promise<void>}
+ */
+async function appendRecord(collection, record) {
+    await callStore({ action: 'append_record', collection, record });
+}
+
+/**
+ * Read records from a collection, newest first
+ * @param {string} collection
+ * @param {object} [options]
+ * @param {number} [options.limit] - maximum records to return
+ * @returns {Promise<object[]>}
+ */
+async function readRecords(collection, { limit } = {}) {
+    const data = await callStore({ action: 'read_records', collection, limit });
+    return Array.isArray(data.records) ? data.records : [];
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<object>} { value, version }
+ */
+async function readState(key) {
+    const data = await callStore({ action: 'get_state', key });
+    return { value: data.value ?? null, version: Number(data.version) || 0 };
+}
+
+/**
+ * Change a state value: read it, let `change` edit a copy in place, and
+ * write it back unless another instance wrote first, in which case start
+ * over with the newer value. Nothing is written when `change` leaves the
+ * value as it was.
+ * @param {string} key
+ * @param {*} initial - value to start from while none is stored
+ * @param {function(*): *} change - edits the value; may throw to abort
+ * @returns {Promise<*>} what `change` returned
+ * @throws {HttpError} 503 state_busy when every attempt lost the race
+ */
+async function updateState(key, initial, change) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const { value: stored, version } = await readState(key);
+        const value = stored ?? structuredClone(initial);
+        const before = JSON.stringify(value);
+        const result = change(value);
+        if (JSON.stringify(value) === before) return result;
+
+        const data = await callStore({ action: 'put_state', key, value, version });
+        if (!data.conflict) return result;
+    }
+    throw new HttpError(503, 'The server is busy. Please try again.', { code: 'state_busy' });
+}
+
+module.exports = { appendRecord, readRecords, readState, updateState };
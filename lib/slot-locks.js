@@ -0,0 +1,251 @@
+/**
+ * lib/slot-locks.js - Leased locks on booking slots
+ *
+ * A lease gives one user exclusive use of a date and time range while they
+ * pick cast and DOPs. Overlapping ranges on the same date conflict. Leases
+ * run for SLOT_LOCK_LEASE_SECONDS (default 90) and are renewed by heartbeats
+ * from the booking page, up to MAX_HOLD_MS in total; they end on submit,
+ * cancel or expiry.
+ *
+ * Users who find their slot taken join a FIFO queue for it and keep their
+ * place by retrying; a waiter that stops retrying drops out after
+ * QUEUE_STALE_MS. When the slot frees up, the first overlapping waiter gets
+ * it before anyone new.
+ *
+ * Leases and the queue are one shared state value (lib/shared-store.js):
+ * /api/slot-lock and /api/n8n are separate functions on Vercel, and both
+ * must see the same leases. Contention (queued requests, lost and missing
+ * leases) and the lease and queue sizes this instance last saw are
+ * exported to /api/metrics.
+ */
+
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+const { readState, updateState } = require('./shared-store');
+const metrics = require('./metrics');
+const { config } = require('./config');
+
+const STATE_KEY = 'slot_locks';
+const EMPTY = { leases: [], queue: [] };
+const MAX_HOLD_MS = 10 * 60 * 1000;
+const QUEUE_STALE_MS = 30 * 1000;
+const RETRY_MS = 5000;
+
+let lastSeen = EMPTY;   // leases and queue as of this instance's last read
+
+// result: acquired, queued (slot held by someone else), lost (heartbeat
+// after expiry) or missing (submit without a live lease)
+const lockRequestsTotal = metrics.counter('slot_lock_requests_total', 'Slot lease requests by result');
+metrics.gauge('slot_locks_held', 'Live slot leases, as this instance last saw them', () => {
+    const now = Date.now();
+    return [{ value: lastSeen.leases.filter(lease => lease.expiresAt > now).length }];
+});
+metrics.gauge('slot_lock_waiters', 'Users queued for a held slot, as this instance last saw them', () =>
+    [{ value: lastSeen.queue.length }]);
+
+/**
+ * @returns {number} lease length in seconds
+ */
+function leaseSeconds() {
+    return config().slotLockLeaseSeconds;
+}
+
+function leaseMs() {
+    return leaseSeconds() * 1000;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * @param {object} slot - { dateKey, fromTime, toTime }
+ * @returns {object} { dateKey, from, to } in minutes
+ */
+function range(slot) {
+    return { dateKey: slot.dateKey, from: toMinutes(slot.fromTime), to: toMinutes(slot.toTime) };
+}
+
+function overlaps(a, b) {
+    return a.dateKey === b.dateKey && a.from < b.to && b.from < a.to;
+}
+
+/**
+ * Drop expired leases and waiters that stopped retrying
+ * @param {object} state - { leases, queue }
+ * @param {number} now
+ */
+function purge(state, now) {
+    state.leases = state.leases.filter(lease => lease.expiresAt > now);
+    state.queue = state.queue.filter(waiter => now - waiter.lastSeen < QUEUE_STALE_MS);
+    lastSeen = state;
+}
+
+/**
+ * Run `change` on the purged shared state and store the result
+ * @param {function(object, number): *} change - receives the state and the time
+ * @returns {Promise<*>} what `change` returned
+ */
+function update(change) {
+    return updateState(STATE_KEY, EMPTY, state => {
+        const now = Date.now();
+        purge(state, now);
+        return change(state, now);
+    });
+}
+
+/**
+ * Public view of a lease
+ * @param {object} lease
+ * @returns {object}
+ */
+function describe(lease) {
+    return {
+        id: lease.id,
+        dateKey: lease.dateKey,
+        fromTime: lease.fromTime,
+        toTime: lease.toTime,
+        expiresAt: new Date(lease.expiresAt).toISOString(),
+        leaseSeconds: leaseSeconds()
+    };
+}
+
+function renewLease(lease, now) {
+    lease.expiresAt = Math.min(now + leaseMs(), lease.acquiredAt + MAX_HOLD_MS);
+}
+
+/**
+ * The caller's live lease by id
+ * @param {object} state - purged state
+ * @param {object} session
+ * @param {string} lockId
+ * @returns {object|null} lease
+ */
+function findLease(state, session, lockId) {
+    const lease = state.leases.find(entry => entry.id === String(lockId || ''));
+    return lease && lease.holder === session.email ? lease : null;
+}
+
+/**
+ * Take the lease on a slot, or join / keep a place in its queue
+ * @param {object} session - { email, name }
+ * @param {object} slot - { dateKey, fromTime, toTime }, already validated
+ * @returns {Promise<object>} { acquired: true, lock } or { acquired: false, position, heldUntil, retryAfter }
+ */
+async function acquire(session, slot) {
+    const result = await update((state, now) => {
+        const wanted = range(slot);
+
+        const own = state.leases.find(lease => lease.holder === session.email &&
+            lease.dateKey === slot.dateKey && lease.fromTime === slot.fromTime && lease.toTime === slot.toTime);
+        if (own) {
+            renewLease(own, now);
+            return { acquired: true, lock: describe(own) };
+        }
+        // One lease per user: picking a new slot gives up the old one
+        state.leases = state.leases.filter(lease => lease.holder !== session.email);
+
+        const blockers = state.leases.filter(lease => overlaps(lease, wanted));
+        let waiter = state.queue.find(entry => entry.holder === session.email);
+        if (waiter && !overlaps(waiter, wanted)) {
+            state.queue = state.queue.filter(entry => entry !== waiter);
+            waiter = null;
+        }
+        const ahead = state.queue
+            .slice(0, waiter ? state.queue.indexOf(waiter) : state.queue.length)
+            .filter(entry => entry.holder !== session.email && overlaps(entry, wanted));
+
+        if (blockers.length === 0 && ahead.length === 0) {
+            state.queue = state.queue.filter(entry => entry !== waiter);
+            const lease = {
+                id: crypto.randomUUID(),
+                holder: session.email,
+                holderName: session.name,
+                dateKey: slot.dateKey,
+                fromTime: slot.fromTime,
+                toTime: slot.toTime,
+                from: wanted.from,
+                to: wanted.to,
+                acquiredAt: now,
+                expiresAt: 0
+            };
+            renewLease(lease, now);
+            state.leases.push(lease);
+            return { acquired: true, lock: describe(lease) };
+        }
+
+        if (waiter) {
+            waiter.lastSeen = now;
+        } else {
+            state.queue.push({ holder: session.email, ...wanted, lastSeen: now });
+        }
+        const heldUntil = blockers.length > 0 ? Math.max(...blockers.map(lease => lease.expiresAt)) : null;
+        return {
+            acquired: false,
+            position: ahead.length + 1,
+            heldUntil: heldUntil ? new Date(heldUntil).toISOString() : null,
+            retryAfter: Math.round(RETRY_MS / 1000)
+        };
+    });
+    lockRequestsTotal.inc({ result: result.acquired ? 'acquired' : 'queued' });
+    return result;
+}
+
+/**
+ * Extend the caller's lease (heartbeat)
+ * @param {object} session
+ * @param {string} lockId
+ * @returns {Promise<object>} lock
+ * @throws {HttpError} 410 when the lease has expired or was released
+ */
+async function renew(session, lockId) {
+    const lock = await update((state, now) => {
+        const lease = findLease(state, session, lockId);
+        if (!lease) return null;
+        renewLease(lease, now);
+        return describe(lease);
+    });
+    if (!lock) {
+        lockRequestsTotal.inc({ result: 'lost' });
+        throw new HttpError(410, 'Your hold on this slot has expired. Please lock it again.', { code: 'lock_lost' });
+    }
+    return lock;
+}
+
+/**
+ * Give up the caller's lease and any place in the queue
+ * @param {object} session
+ * @param {string} [lockId]
+ * @returns {Promise<boolean>} true if a lease was released
+ */
+function release(session, lockId) {
+    return update(state => {
+        state.queue = state.queue.filter(entry => entry.holder !== session.email);
+        const lease = findLease(state, session, lockId);
+        if (!lease) return false;
+        state.leases = state.leases.filter(entry => entry !== lease);
+        return true;
+    });
+}
+
+/**
+ * Require a live lease of the caller's covering a slot (for submits)
+ * @param {object} session
+ * @param {string} lockId
+ * @param {object} slot - { dateKey, fromTime, toTime }
+ * @returns {Promise<void>}
+ * @throws {HttpError} 409 when there is no such lease
+ */
+async function assertHolds(session, lockId, slot) {
+    const state = (await readState(STATE_KEY)).value || structuredClone(EMPTY);
+    purge(state, Date.now());
+    const lease = findLease(state, session, lockId);
+    const wanted = range(slot);
+    if (!lease || lease.dateKey !== wanted.dateKey || lease.from > wanted.from || lease.to < wanted.to) {
+        lockRequestsTotal.inc({ result: 'missing' });
+        throw new HttpError(409, 'You no longer hold this slot. Please lock the date and time again.', { code: 'lock_required' });
+    }
+}
+
+module.exports = { acquire, renew, release, assertHolds, leaseSeconds };
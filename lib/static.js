@@ -0,0 +1,171 @@
+/**
+ * lib/static.js - Static file serving for server.js
+ *
+ * Serves ./public through lib/assets.js, so pages reference scripts,
+ * styles and images by content hash:
+ *
+ *   name.<hash>.ext  - Cache-Control: public, max-age=31536000, immutable
+ *   everything else  - Cache-Control: no-cache (revalidated with the ETag)
+ *
+ * Every response carries a strong ETag and Last-Modified and answers
+ * If-None-Match / If-Modified-Since with 304. Text responses over
+ * COMPRESS_MIN_BYTES are sent with brotli or gzip, whichever the client
+ * prefers; compressed bodies are kept with the asset until it changes.
+ * On Vercel the same files come from dist/ (scripts/build.js).
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const { getAsset, parseHashedUrl } = require('./assets');
+
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+const REVALIDATE = 'no-cache';
+const COMPRESS_MIN_BYTES = 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.pdf': 'application/pdf'
+};
+
+const COMPRESSIBLE = ['.html', '.css', '.js', '.mjs', '.json', '.map', '.webmanifest', '.txt', '.xml', '.svg', '.ico'];
+
+// Content-Encoding -> compressor
+const ENCODINGS = {
+    br: content => zlib.brotliCompressSync(content, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11, [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length }
+    }),
+    gzip: content => zlib.gzipSync(content, { level: 9 })
+};
+
+function sendText(res, status, text) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': REVALIDATE });
+    res.end(text);
+}
+
+/**
+ * Pick the encoding the client prefers among those we offer
+ * @param {string} header - Accept-Encoding
+ * @returns {string|null} 'br', 'gzip' or null
+ */
+function negotiateEncoding(header) {
+    const accepted = {};
+    String(header || '').split(',').forEach(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        if (!name) return;
+        const q = params.map(p => /^\s*q=([\d.]+)\s*$/.exec(p)).find(Boolean);
+        accepted[name] = q ? Number(q[1]) : 1;
+    });
+
+    const quality = name => accepted[name] ?? accepted['*'] ?? 0;
+    const best = Object.keys(ENCODINGS)
+        .filter(name => quality(name) > 0)
+        .sort((a, b) => quality(b) - quality(a))[0];
+    return best || null;
+}
+
+/**
+ * @param {object} req
+ * @param {string} etag - this representation's ETag
+ * @param {Date} mtime
+ * @returns {boolean} true when the client's copy is current
+ */
+function notModified(req, etag, mtime) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        const opaque = tag => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some(tag => opaque(tag) === etag);
+    }
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    return !Number.isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+/**
+ * Serve a file from ./public
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @param {string} pathname - decoded URL path, e.g. /js/auth.0123456789.js
+ */
+function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        sendText(res, 405, 'Method Not Allowed');
+        return;
+    }
+
+    let urlPath = pathname === '/' ? '/login.html' : pathname;
+    let cacheControl = REVALIDATE;
+    const hashed = parseHashedUrl(urlPath);
+    let asset = hashed ? getAsset(hashed.urlPath) : null;
+    if (asset) {
+        urlPath = hashed.urlPath;
+        // A stale hash from a page loaded before a change still gets the current file, uncached
+        if (asset.hash === hashed.hash) cacheControl = IMMUTABLE;
+    } else {
+        asset = getAsset(urlPath);
+    }
+
+    if (!asset) {
+        if (urlPath === '/favicon.ico') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        sendText(res, 404, '404 Not Found');
+        return;
+    }
+
+    const ext = path.extname(urlPath).toLowerCase();
+    const headers = {
+        'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+        'Cache-Control': cacheControl,
+        'Last-Modified': asset.mtime.toUTCString()
+    };
+
+    let body = asset.content;
+    let etag = `"${asset.hash}"`;
+    if (COMPRESSIBLE.includes(ext)) {
+        headers['Vary'] = 'Accept-Encoding';
+        const encoding = asset.content.length >= COMPRESS_MIN_BYTES ? negotiateEncoding(req.headers['accept-encoding']) : null;
+        if (encoding) {
+            if (!asset.compressed[encoding]) asset.compressed[encoding] = ENCODINGS[encoding](asset.content);
+            body = asset.compressed[encoding];
+            etag = `"${asset.hash}-${encoding}"`;
+            headers['Content-Encoding'] = encoding;
+        }
+    }
+    headers['ETag'] = etag;
+
+    if (notModified(req, etag, asset.mtime)) {
+        delete headers['Content-Type'];
+        delete headers['Content-Encoding'];
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    headers['Content-Length'] = body.length;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+module.exports = { MIME_TYPES, serveStatic };
@@ -0,0 +1,64 @@
+/**
+ * lib/store.js - Append-only JSON-lines files for server-side records
+ *
+ * Records live in DATA_DIR (default ./data, or the writable /tmp on Vercel)
+ * as one <name>.jsonl file per collection. Lines are only ever appended.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { config } = require('./config');
+
+function dataDir() {
+    const { dataDir: configured, vercel } = config();
+    if (configured) return configured;
+    if (vercel) return path.join(os.tmpdir(), 'cf-slot-app');
+    return path.join(__dirname, '..', 'data');
+}
+
+function filePath(name) {
+    return path.join(dataDir(), `${name}.jsonl`);
+}
+
+/**
+ * Append one record to a collection
+ * @param {string} name - collection name, e.g. 'lockouts'
+ * @param {object} record
+ * @returns {Promise<void>}
+ */
+async function appendRecord(name, record) {
+    await fs.promises.mkdir(dataDir(), { recursive: true });
+    await fs.promises.appendFile(filePath(name), JSON.stringify(record) + '\n');
+}
+
+/**
+ * Read records from a collection, newest first
+ * @param {string} name
+ * @param {object} [options]
+ * @param {number} [options.limit] - maximum records to return
+ * @returns {Promise<object[]>}
+ */
+async function readRecords(name, { limit = Infinity } = {}) {
+    let text;
+    try {
+        text = await fs.promises.readFile(filePath(name), 'utf-8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const records = [];
+    const lines = text.split('\n');
+    for (let i = lines.length - 1; i >= 0 && records.length < limit; i--) {
+        if (!lines[i]) continue;
+        try {
+            records.push(JSON.parse(lines[i]));
+        } catch (e) {
+            // Skip a torn line from an interrupted write
+        }
+    }
+    return records;
+}
+
+module.exports = { appendRecord, readRecords, dataDir };
@@ -0,0 +1,243 @@
+/**
+ * lib/throttle.js - Login attempt throttling and temporary lockout
+ *
+ * Failed logins are counted per email and per client IP. After a few free
+ * attempts each further failure doubles the wait before the next attempt;
+ * enough failures lock the key out for a while. Lockouts are appended to the
+ * 'lockouts' records so admins can review them. An attempt is counted as
+ * soon as it is let through and taken back once the password proves right,
+ * so parallel guesses cannot all slip past the check.
+ *
+ * The counters are one shared state value (lib/shared-store.js), so
+ * /api/login and /api/lockouts see the same lockouts on every instance.
+ * Counters idle for FORGET_AFTER_MS are dropped, and at most MAX_COUNTERS
+ * are kept.
+ */
+
+const { HttpError } = require('./http');
+const { appendRecord, readRecords, readState, updateState } = require('./shared-store');
+const { log } = require('./log');
+
+const STATE_KEY = 'login_attempts';
+const LIMITS = {
+    email: { freeAttempts: 3, lockAfter: 8 },
+    ip: { freeAttempts: 10, lockAfter: 30 }
+};
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const FORGET_AFTER_MS = 60 * 60 * 1000;
+const MAX_COUNTERS = 500;
+
+function keysFor(email, ip) {
+    const keys = [];
+    if (email) keys.push({ type: 'email', key: `email:${email}`, value: email });
+    if (ip) keys.push({ type: 'ip', key: `ip:${ip}`, value: ip });
+    return keys;
+}
+
+function isForgotten(entry, now) {
+    return now - entry.lastFailure > FORGET_AFTER_MS && !(entry.lockedUntil > now);
+}
+
+/**
+ * Drop forgotten counters, then the least recent ones beyond MAX_COUNTERS
+ * that are not locked
+ * @param {object} counters - key -> entry
+ * @param {number} now
+ */
+function prune(counters, now) {
+    Object.keys(counters).forEach(key => {
+        if (isForgotten(counters[key], now)) delete counters[key];
+    });
+    const unlocked = Object.keys(counters)
+        .filter(key => !(counters[key].lockedUntil > now))
+        .sort((a, b) => counters[a].lastFailure - counters[b].lastFailure);
+    unlocked.slice(0, Math.max(0, Object.keys(counters).length - MAX_COUNTERS)).forEach(key => {
+        delete counters[key];
+    });
+}
+
+/**
+ * Set the wait before the next attempt from the failure count
+ * @param {object} entry
+ * @param {object} limits - LIMITS[type]
+ * @param {number} from - time of the latest failure
+ */
+function applyBackoff(entry, limits, from) {
+    const overFree = entry.failures - limits.freeAttempts;
+    entry.nextAttemptAt = overFree > 0 ? from + Math.min(BASE_DELAY_MS * 2 ** (overFree - 1), MAX_DELAY_MS) : 0;
+}
+
+/**
+ * Reject the attempt if either key is locked out or still backing off,
+ * otherwise count it as a failure straight away. Counting before the
+ * password is checked means parallel requests see each other: without it
+ * they would all pass the check before any failure was recorded. The
+ * handler then settles the attempt with recordLoginFailure(),
+ * recordLoginSuccess() or releaseLoginAttempt().
+ * @param {string} email
+ * @param {string} ip
+ * @returns {Promise<object>} the reserved attempt
+ * @throws {HttpError} 429 with retryAfter (seconds)
+ */
+function reserveLoginAttempt(email, ip) {
+    return updateState(STATE_KEY, {}, counters => {
+        const now = Date.now();
+        prune(counters, now);
+        const keys = keysFor(email, ip);
+        let waitMs = 0;
+        for (const { key } of keys) {
+            const entry = counters[key];
+            if (!entry) continue;
+            waitMs = Math.max(waitMs, (entry.lockedUntil || 0) - now, entry.nextAttemptAt - now);
+        }
+
+        if (waitMs > 0) {
+            const retryAfter = Math.ceil(waitMs / 1000);
+            const wait = retryAfter >= 60 ? `${Math.ceil(retryAfter / 60)} minute(s)` : `${retryAfter} second(s)`;
+            throw new HttpError(429, `Too many login attempts. Please try again in ${wait}.`, { retryAfter });
+        }
+
+        const attempt = { email, ip, at: now, locked: [] };
+        for (const { type, key, value } of keys) {
+            const limits = LIMITS[type];
+            const entry = counters[key] || { failures: 0, nextAttemptAt: 0, lockedUntil: 0 };
+            entry.failures += 1;
+            entry.lastFailure = now;
+            applyBackoff(entry, limits, now);
+
+            if (entry.failures >= limits.lockAfter && !(entry.lockedUntil > now)) {
+                entry.lockedUntil = now + LOCKOUT_MS;
+                attempt.locked.push({ type, key, value, failures: entry.failures, lockedUntil: entry.lockedUntil });
+            }
+            counters[key] = entry;
+        }
+        return attempt;
+    });
+}
+
+/**
+ * The reserved attempt failed: it stays counted, and any lockout it caused
+ * is added to the history
+ * @param {object} attempt - from reserveLoginAttempt()
+ * @returns {Promise<void>}
+ */
+async function recordLoginFailure(attempt) {
+    for (const { type, value, failures, lockedUntil } of attempt.locked) {
+        try {
+            await appendRecord('lockouts', {
+                type,
+                value,
+                email: attempt.email,
+                ip: attempt.ip,
+                failures,
+                lockedAt: new Date(attempt.at).toISOString(),
+                lockedUntil: new Date(lockedUntil).toISOString()
+            });
+        } catch (err) {
+            log.error('Failed to record lockout', { err });
+        }
+    }
+}
+
+/**
+ * Take a reserved attempt back off one counter
+ * @param {object} counters - key -> entry
+ * @param {object} attempt
+ * @param {string} type - 'email' or 'ip'
+ * @param {string} key
+ */
+function unreserve(counters, attempt, type, key) {
+    const entry = counters[key];
+    if (!entry) return;
+    entry.failures -= 1;
+    if (entry.failures <= 0) {
+        delete counters[key];
+        return;
+    }
+    applyBackoff(entry, LIMITS[type], entry.lastFailure);
+    if (attempt.locked.some(locked => locked.key === key) && entry.failures < LIMITS[type].lockAfter) {
+        entry.lockedUntil = 0;
+    }
+}
+
+/**
+ * The password could not be checked (e.g. the auth script is down): the
+ * reserved attempt does not count
+ * @param {object} attempt - from reserveLoginAttempt()
+ * @returns {Promise<void>}
+ */
+async function releaseLoginAttempt(attempt) {
+    try {
+        await updateState(STATE_KEY, {}, counters => {
+            keysFor(attempt.email, attempt.ip).forEach(({ type, key }) => unreserve(counters, attempt, type, key));
+        });
+    } catch (err) {
+        log.error('Failed to release a login attempt', { err });
+    }
+}
+
+/**
+ * Clear the email counter after a successful login, and take the reserved
+ * attempt back off the IP counter. A failure is logged; it must not block
+ * the login itself.
+ * @param {string} email
+ * @param {object} [attempt] - from reserveLoginAttempt(); omitted after a password reset
+ * @returns {Promise<void>}
+ */
+async function recordLoginSuccess(email, attempt) {
+    try {
+        await updateState(STATE_KEY, {}, counters => {
+            delete counters[`email:${email}`];
+            if (attempt?.ip) unreserve(counters, attempt, 'ip', `ip:${attempt.ip}`);
+        });
+    } catch (err) {
+        log.error('Failed to clear login failures', { err });
+    }
+}
+
+/**
+ * Lift an active lockout (admin action)
+ * @param {string} type - 'email' or 'ip'
+ * @param {string} value
+ * @returns {Promise<boolean>} true if a counter was cleared
+ */
+function clearLockout(type, value) {
+    return updateState(STATE_KEY, {}, counters => {
+        const key = `${type}:${value}`;
+        if (!counters[key]) return false;
+        delete counters[key];
+        return true;
+    });
+}
+
+/**
+ * Active lockouts plus the recorded history
+ * @param {number} [limit]
+ * @returns {Promise<{active: object[], history: object[]}>}
+ */
+async function listLockouts(limit = 200) {
+    const now = Date.now();
+    const [{ value: counters }, history] = await Promise.all([
+        readState(STATE_KEY),
+        readRecords('lockouts', { limit })
+    ]);
+    const active = [];
+    Object.entries(counters || {}).forEach(([key, entry]) => {
+        if (entry.lockedUntil > now) {
+            const [type, ...rest] = key.split(':');
+            active.push({
+                type,
+                value: rest.join(':'),
+                failures: entry.failures,
+                lockedUntil: new Date(entry.lockedUntil).toISOString()
+            });
+        }
+    });
+    return { active, history };
+}
+
+module.exports = {
+    reserveLoginAttempt, releaseLoginAttempt, recordLoginFailure, recordLoginSuccess, clearLockout, listLockouts
+};
@@ -0,0 +1,296 @@
+/**
+ * lib/upstream.js - Shared client for the Apps Scripts and the n8n webhook
+ *
+ * Every outgoing call goes through request(), which adds:
+ *
+ *   - a real timeout covering redirects, the response body and any retries,
+ *     kept under the browser's own 15s timeout
+ *   - redirect handling (Apps Script answers with a 302 to
+ *     googleusercontent.com; POSTs continue there as GETs)
+ *   - bounded retries with jittered exponential backoff, for idempotent
+ *     reads only, on network errors, timeouts and 429/502/503/504
+ *   - a circuit breaker per upstream: after FAILURE_THRESHOLD failed calls
+ *     in a row, calls fail fast with 503 upstream_degraded for OPEN_MS, then
+ *     one trial call decides whether it closes again
+ *
+ * Every call carries the current request's correlation ID (lib/log.js) as
+ * x-request-id unless the caller sets one, and is counted per upstream and
+ * result for /api/metrics.
+ *
+ * probe() is the health check's single uncounted attempt. Breaker state is
+ * in memory, so it is per process (per warm instance on Vercel). degraded()
+ * feeds the X-Degraded-Services header that drives the "service degraded"
+ * banner in the browser.
+ */
+
+const { HttpError } = require('./http');
+const { log, currentRequestId } = require('./log');
+const metrics = require('./metrics');
+
+const DEFAULT_TIMEOUT_MS = 12000;
+const MAX_REDIRECTS = 5;
+const MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 2000;
+const FAILURE_THRESHOLD = 5;
+const OPEN_MS = 30 * 1000;
+
+const RETRY_STATUSES = [429, 502, 503, 504];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// upstream name -> label used in messages and the degraded banner
+const LABELS = {
+    auth: 'Sign-in service',
+    creators: 'Creators list',
+    brandip: 'Brand/IP list',
+    myday: 'Bookings service',
+    attendance: 'Attendance service',
+    adminData: 'Shoots service',
+    employees: 'Employees service',
+    n8n: 'Booking workflow'
+};
+
+const breakers = new Map();   // upstream name -> { state, failures, openUntil, probing }
+
+// result: ok (below 500), error_status, timeout, unreachable or rejected (breaker open)
+const callsTotal = metrics.counter('upstream_requests_total', 'Upstream calls by upstream and result');
+const callSeconds = metrics.histogram('upstream_request_duration_seconds', 'Upstream call latency, retries included');
+const retriesTotal = metrics.counter('upstream_retries_total', 'Upstream attempts repeated after a failure');
+metrics.gauge('upstream_circuit_open', '1 while the upstream\'s circuit breaker is open or half open', () =>
+    [...breakers.entries()].map(([name, breaker]) => ({ labels: { upstream: name }, value: breaker.state === 'closed' ? 0 : 1 })));
+
+function labelOf(name) {
+    return LABELS[name] || name;
+}
+
+function breakerFor(name) {
+    if (!breakers.has(name)) {
+        breakers.set(name, { state: 'closed', failures: 0, openUntil: 0, probing: false });
+    }
+    return breakers.get(name);
+}
+
+/**
+ * Let a call through, or fail fast while the breaker is open
+ * @param {string} name
+ * @throws {HttpError} 503 upstream_degraded
+ */
+function admit(name) {
+    const breaker = breakerFor(name);
+    if (breaker.state === 'closed') return;
+
+    if (breaker.state === 'open' && Date.now() >= breaker.openUntil) {
+        breaker.state = 'half_open';
+    }
+    if (breaker.state === 'half_open' && !breaker.probing) {
+        breaker.probing = true;
+        return;
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((breaker.openUntil - Date.now()) / 1000));
+    throw new HttpError(503, `${labelOf(name)} is temporarily unavailable. Please try again shortly.`, {
+        code: 'upstream_degraded',
+        upstream: name,
+        retryAfter
+    });
+}
+
+function recordSuccess(name) {
+    const breaker = breakerFor(name);
+    if (breaker.state !== 'closed') {
+        log.info('Upstream recovered - circuit closed', { upstream: name });
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.probing = false;
+}
+
+function recordFailure(name) {
+    const breaker = breakerFor(name);
+    breaker.failures += 1;
+    breaker.probing = false;
+    if (breaker.state === 'half_open' || breaker.failures >= FAILURE_THRESHOLD) {
+        if (breaker.state !== 'open') {
+            log.error('Upstream failing - circuit open', { upstream: name, failures: breaker.failures, openSeconds: OPEN_MS / 1000 });
+        }
+        breaker.state = 'open';
+        breaker.openUntil = Date.now() + OPEN_MS;
+    }
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): full jitter over an
+ * exponentially growing window
+ * @param {number} attempt
+ * @returns {number} milliseconds
+ */
+function backoff(attempt) {
+    return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * One attempt: fetch, following redirects, and read the body before the deadline
+ * @param {string} url
+ * @param {object} options - { method, headers, body, timeoutMs }
+ * @returns {Promise<object>} { status, ok, headers, text, url }
+ */
+async function attempt(url, { method, headers, body, timeoutMs }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        let current = { url: String(url), method, headers, body };
+        for (let redirects = 0; ; redirects++) {
+            const response = await fetch(current.url, {
+                method: current.method,
+                headers: current.headers,
+                body: current.body,
+                redirect: 'manual',
+                signal: controller.signal
+            });
+
+            const location = response.headers.get('location');
+            if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+                const text = await response.text();
+                return { status: response.status, ok: response.ok, headers: response.headers, text, url: current.url };
+            }
+
+            // Free the connection before following
+            await response.arrayBuffer().catch(() => {});
+            if (redirects >= MAX_REDIRECTS) {
+                throw new Error(`Too many redirects (> ${MAX_REDIRECTS})`);
+            }
+
+            // 303, and 301/302 after a POST, continue as a bodyless GET
+            const keepMethod = response.status === 307 || response.status === 308 || current.method === 'GET';
+            current = keepMethod
+                ? { ...current, url: new URL(location, current.url).href }
+                : { url: new URL(location, current.url).href, method: 'GET', headers: {}, body: undefined };
+        }
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            const timeout = new Error(`timed out after ${timeoutMs}ms`);
+            timeout.timeout = true;
+            throw timeout;
+        }
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Call an upstream
+ * @param {string} name - upstream name, one circuit breaker each (e.g. 'myday', 'n8n')
+ * @param {string|URL} url
+ * @param {object} [options]
+ * @param {string} [options.method='GET']
+ * @param {object} [options.headers]
+ * @param {string} [options.body]
+ * @param {boolean} [options.idempotent] - safe to retry; defaults to true for GET
+ * @param {number} [options.timeoutMs] - for the whole call, retries included
+ * @returns {Promise<object>} { status, ok, headers, text, url } - any status the upstream answered with
+ * @throws {HttpError} 503 upstream_degraded while the breaker is open,
+ *   504 upstream_timeout or 502 upstream_unreachable once retries are exhausted
+ */
+async function request(name, url, options = {}) {
+    const {
+        method = 'GET',
+        body,
+        timeoutMs = DEFAULT_TIMEOUT_MS
+    } = options;
+    const requestId = currentRequestId();
+    const headers = requestId ? { 'x-request-id': requestId, ...options.headers } : { ...options.headers };
+    const idempotent = options.idempotent ?? method === 'GET';
+    const attempts = idempotent ? MAX_RETRIES + 1 : 1;
+
+    try {
+        admit(name);
+    } catch (err) {
+        callsTotal.inc({ upstream: name, result: 'rejected' });
+        throw err;
+    }
+
+    const started = Date.now();
+    const deadline = Date.now() + timeoutMs;
+    let lastError = null;
+    let response = null;
+    for (let i = 1; i <= attempts; i++) {
+        if (i > 1) {
+            const delay = backoff(i - 1);
+            if (Date.now() + delay >= deadline) break;
+            await sleep(delay);
+            retriesTotal.inc({ upstream: name });
+        }
+        lastError = null;
+        try {
+            response = await attempt(url, { method, headers, body, timeoutMs: deadline - Date.now() });
+        } catch (err) {
+            lastError = err;
+            log.warn('Upstream attempt failed', { upstream: name, attempt: i, attempts, err });
+            continue;
+        }
+        if (!RETRY_STATUSES.includes(response.status)) break;
+        log.warn('Upstream attempt answered with an error status', { upstream: name, attempt: i, attempts, status: response.status });
+    }
+
+    callSeconds.observe({ upstream: name }, (Date.now() - started) / 1000);
+    if (lastError) {
+        recordFailure(name);
+        callsTotal.inc({ upstream: name, result: lastError.timeout ? 'timeout' : 'unreachable' });
+        throw lastError.timeout
+            ? new HttpError(504, `${labelOf(name)} did not respond in time. Please try again.`, { code: 'upstream_timeout', upstream: name })
+            : new HttpError(502, `${labelOf(name)} could not be reached. Please try again.`, { code: 'upstream_unreachable', upstream: name });
+    }
+
+    if (response.status >= 500) {
+        recordFailure(name);
+        callsTotal.inc({ upstream: name, result: 'error_status' });
+    } else {
+        recordSuccess(name);
+        callsTotal.inc({ upstream: name, result: 'ok' });
+    }
+    return response;
+}
+
+/**
+ * One attempt for the health check (lib/health.js): no retries, and it
+ * neither waits for nor counts toward the breaker or the call metrics, so
+ * probing cannot open a circuit on real traffic or close one early
+ * @param {string} name - upstream name, for the log
+ * @param {string|URL} url
+ * @param {number} timeoutMs
+ * @returns {Promise<object>} { status, ok, headers, text, url }
+ * @throws {Error} on network errors, or with `timeout` set once timeoutMs has passed
+ */
+async function probe(name, url, timeoutMs) {
+    const requestId = currentRequestId();
+    const headers = requestId ? { 'x-request-id': requestId } : {};
+    try {
+        return await attempt(url, { method: 'GET', headers, body: undefined, timeoutMs });
+    } catch (err) {
+        log.warn('Upstream probe failed', { upstream: name, err });
+        throw err;
+    }
+}
+
+/**
+ * Upstreams whose breaker is not closed
+ * @returns {object[]} [{ name, label, state, retryAt }]
+ */
+function degraded() {
+    return [...breakers.entries()]
+        .filter(([, breaker]) => breaker.state !== 'closed')
+        .map(([name, breaker]) => ({
+            name,
+            label: labelOf(name),
+            state: breaker.state,
+            retryAt: new Date(breaker.openUntil).toISOString()
+        }));
+}
+
+module.exports = { request, probe, degraded };
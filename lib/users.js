@@ -0,0 +1,78 @@
+/**
+ * lib/users.js - User records held by the auth Google Apps Script
+ *
+ * The script is a plain user store; passwords are verified in lib/password.js.
+ *
+ *   POST { action: 'get_user', email }
+ *     -> { ok: true, user: { email, name, role, password_hash, session_epoch } } | { ok: false }
+ *   POST { action: 'set_password_hash', email, password_hash }
+ *     -> { ok: true } | { ok: false, message }
+ *   POST { action: 'set_session_epoch', email, session_epoch }
+ *     -> { ok: true } | { ok: false, message }
+ *
+ * session_epoch (Unix seconds, empty until first set) ends every session of
+ * the user issued up to then; see lib/session-revocations.js.
+ */
+
+const { HttpError } = require('./http');
+const { scriptUrl } = require('./apps-script');
+const upstream = require('./upstream');
+
+async function callAuthScript(body) {
+    const response = await upstream.request('auth', scriptUrl('auth'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        // Lookups are safe to retry; password writes are not
+        idempotent: body.action === 'get_user'
+    });
+
+    let data;
+    try {
+        data = JSON.parse(response.text);
+    } catch (err) {
+        throw new HttpError(502, 'Authentication service error: invalid response');
+    }
+    if (!response.ok) {
+        throw new HttpError(502, `Authentication service error: ${data?.message || response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Look up a user by email
+ * @param {string} email - normalized (trimmed, lowercase)
+ * @returns {Promise<object|null>} { email, name, role, password_hash }
+ */
+async function getUser(email) {
+    const data = await callAuthScript({ action: 'get_user', email });
+    return data.ok && data.user ? data.user : null;
+}
+
+/**
+ * Replace a user's stored password hash
+ * @param {string} email
+ * @param {string} passwordHash - encoded hash from lib/password.js
+ * @returns {Promise<void>}
+ */
+async function setPasswordHash(email, passwordHash) {
+    const data = await callAuthScript({ action: 'set_password_hash', email, password_hash: passwordHash });
+    if (!data.ok) {
+        throw new HttpError(502, data.message || 'Failed to update password');
+    }
+}
+
+/**
+ * End the user's sessions issued up to `epoch`, on every instance
+ * @param {string} email
+ * @param {number} epoch - Unix seconds
+ * @returns {Promise<void>}
+ */
+async function setSessionEpoch(email, epoch) {
+    const data = await callAuthScript({ action: 'set_session_epoch', email, session_epoch: epoch });
+    if (!data.ok) {
+        throw new HttpError(502, data.message || 'Failed to end sessions');
+    }
+}
+
+module.exports = { getUser, setPasswordHash, setSessionEpoch };
@@ -1,30 +1,18 @@
 /**
  * admin-api.js - Admin Shoots Data API Service
- * Handles fetching and filtering shoot data from Google Apps Script API
+ * Handles fetching and filtering shoot data from the admin data script (via /api/admin-shoots)
  */
 
-import { getConfig } from './config.js';
 import { fetchWithTimeout } from './fetch-util.js';
 
 const ADMIN_API = {
-    apiUrl: null,
-
-    /**
-     * Initialize API endpoint from config
-     */
-    async init() {
-        if (!this.apiUrl) {
-            this.apiUrl = await getConfig('google_admin_data_script_url');
-        }
-        return this.apiUrl;
-    },
+    apiUrl: '/api/admin-shoots',
 
     /**
      * Get today's shoots
      * @returns {Promise<array>} array of shoot objects
      */
     async getTodaysShoots() {
-        await this.init();
         const today = this._getTodayDateString();
         return this.getShootsByDate(today);
     },
@@ -34,7 +22,6 @@ const ADMIN_API = {
      * @returns {Promise<array>} array of shoot objects
      */
     async getTomorrowShoots() {
-        await this.init();
         const tomorrow = this._getTomorrowDateString();
         return this.getShootsByDate(tomorrow);
     },
@@ -45,10 +32,7 @@ const ADMIN_API = {
      * @returns {Promise<array>} array of shoot objects
      */
     async getShootsByDate(dateISO) {
-        if (!this.apiUrl) await this.init();
-
         try {
-            // Call Google Apps Script directly (no CORS issues from Google)
             const url = `${this.apiUrl}?action=list&date=${encodeURIComponent(dateISO)}`;
             console.log('📡 Fetching shoots for date:', dateISO);
 
@@ -84,8 +68,6 @@ const ADMIN_API = {
      * @returns {Promise<array>} array of shoot objects
      */
     async getShootsByDateRange(fromDateISO, toDateISO) {
-        if (!this.apiUrl) await this.init();
-
         try {
             const url = `${this.apiUrl}?action=list&from_date=${fromDateISO}&to_date=${toDateISO}`;
             console.log('📡 Fetching shoots from', fromDateISO, 'to', toDateISO);
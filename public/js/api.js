@@ -1,32 +1,69 @@
 import { fetchWithTimeout } from './fetch-util.js';
+import { GUARD } from './guard.js';
 
 /**
  * api.js - API communication with backend endpoints
  */
 
 const API = {
+    // { key, request_id } of the last submission that got no definitive answer
+    _pendingRequest: null,
+
+    /**
+     * request_id for a submission. Retrying the same payload after a failed
+     * attempt reuses the ID, so the server replays the first result instead
+     * of booking twice; any change to the payload gets a fresh ID.
+     * @param {object} payload - request body without request_id
+     * @returns {string} request_id
+     */
+    requestIdFor(payload) {
+        const key = JSON.stringify(payload);
+        if (!this._pendingRequest || this._pendingRequest.key !== key) {
+            let request_id;
+            if (window.crypto && window.crypto.randomUUID) {
+                request_id = crypto.randomUUID();
+            } else {
+                request_id = Date.now().toString() + '-' + Math.floor(Math.random() * 1000000);
+            }
+            this._pendingRequest = { key, request_id };
+        }
+        return this._pendingRequest.request_id;
+    },
+
+    /**
+     * Forget the pending request_id once the server has answered (success or conflict)
+     */
+    settleRequestId() {
+        this._pendingRequest = null;
+    },
+
     /**
      * POST to /api/n8n endpoint
      * @param {object} payload - request body
      * @returns {Promise<object>} response data
-     * @throws {Error} on network or response error
+     * @throws {Error} on network or response error (with .status, .code and .errors from the server)
      */
     async postToN8n(payload) {
         try {
             const response = await fetchWithTimeout('/api/n8n', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    // Correlates the server's log entries with this submission
+                    ...(payload.request_id ? { 'x-request-id': payload.request_id } : {})
                 },
                 body: JSON.stringify(payload)
             });
 
             // If response is our error object from fetchWithTimeout
-            if (!response.ok) {
-                if (response.error) {
-                    throw new Error(response.error);
-                }
-                throw new Error(`HTTP ${response.status}`);
+            if (response.error) {
+                throw new Error(response.error);
+            }
+
+            // Session expired or missing - the server no longer trusts this page
+            if (response.status === 401) {
+                GUARD.sessionExpired();
+                throw new Error('Your session has expired. Please log in again.');
             }
 
             let data = {};
@@ -42,9 +79,15 @@ const API = {
                 data = { message: text };
             }
 
-            // Check HTTP status
+            // Check HTTP status - 403 carries a readable reason from the action policy,
+            // 400 'invalid_payload' lists the offending fields in data.errors
             if (!response.ok) {
-                throw new Error(data.message || `HTTP ${response.status}`);
+                const error = new Error(data.message || `HTTP ${response.status}`);
+                error.status = response.status;
+                error.code = data.code;
+                error.errors = data.errors;
+                error.retryAfter = data.retryAfter;
+                throw error;
             }
 
             return data;
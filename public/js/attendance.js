@@ -1,7 +1,8 @@
 import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
 import { UI } from './ui.js';
-import { getConfig } from './config.js';
 import { API } from './api.js';
+import { SERVICE_STATUS } from './service-status.js';
 
 /**
  * attendance.js - Attendance marking page
@@ -21,9 +22,8 @@ const ATTENDANCE_OPTIONS = [
   { value: 'Partial-Early', label: 'Partial Day – Leave Early' },
 ];
 
-const BOOKING_API_KEY = "bookingkey";
-
-let GOOGLE_SCRIPT_API_ENDPOINT = null;
+// My Day script proxy, used for the user's shoots
+const SHOOTS_API_URL = "/api/google-script";
 
 let attendanceState = {
   records: {}, // { dateString: selectedValue }
@@ -33,19 +33,8 @@ let attendanceState = {
 };
 
 document.addEventListener("DOMContentLoaded", async () => {
-  if (!AUTH.isAuthenticated()) return;
-  
-  // Check if user is admin - if so, redirect to admin dashboard
-  const user = AUTH.getCurrentUser();
-  if (user && user.role === 'Admin') {
-    window.location.href = '/todays-shoots.html';
-    return;
-  }
-  
-  GOOGLE_SCRIPT_API_ENDPOINT = await getConfig('google_myday_script_url');
-  if (!GOOGLE_SCRIPT_API_ENDPOINT) {
-    console.error('❌ GOOGLE_SCRIPT_API_ENDPOINT not configured');
-  }
+  if (!GUARD.requirePage('attendance.view')) return;
+
   initializePage();
 });
 
@@ -137,6 +126,7 @@ async function readAttendance(employee) {
     });
 
     clearTimeout(timeoutId);
+    SERVICE_STATUS.observe(res);
 
     if (!res.ok) {
       const errorText = await res.text();
@@ -182,6 +172,7 @@ async function writeAttendance({ date, employee, attendance, isUpdate = false })
     });
 
     clearTimeout(timeoutId);
+    SERVICE_STATUS.observe(res);
 
     if (!res.ok) {
       const errorText = await res.text();
@@ -200,22 +191,20 @@ async function writeAttendance({ date, employee, attendance, isUpdate = false })
 }
 
 /**
- * Fetch shoots/bookings data from Google Apps Script API
+ * Fetch shoots/bookings data from the My Day script (via local proxy)
  */
 async function fetchShootsData(userName) {
   try {
-    if (!GOOGLE_SCRIPT_API_ENDPOINT || !userName) {
-      console.warn("⚠️ Cannot fetch shoots: missing endpoint or userName");
+    if (!userName) {
+      console.warn("⚠️ Cannot fetch shoots: missing userName");
       return { ok: true, rows: [] };
     }
 
     const roleNormalized = "creator"; // Default to creator for shoots fetch
     const apiUrl =
-      GOOGLE_SCRIPT_API_ENDPOINT +
+      SHOOTS_API_URL +
       "?employee=" + encodeURIComponent(userName) +
-      "&name=" + encodeURIComponent(userName) +
-      "&role=" + encodeURIComponent(roleNormalized) +
-      "&key=" + encodeURIComponent(BOOKING_API_KEY);
+      "&role=" + encodeURIComponent(roleNormalized);
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout (increased)
@@ -226,6 +215,7 @@ async function fetchShootsData(userName) {
     });
 
     clearTimeout(timeoutId);
+    SERVICE_STATUS.observe(response);
 
     if (!response.ok) {
       console.warn(`⚠️ Shoots API returned status ${response.status}`);
@@ -712,11 +702,6 @@ async function sendAttendanceWebhook(webhookData) {
         new_attendance: webhookData.new_attendance,
         employee: webhookData.employee || user?.name || "-"
       },
-      user: {
-        name: user?.name || "-",
-        role: user?.role || "-",
-        email: user?.email || "-"
-      },
       timestamp: new Date().toISOString()
     };
 
@@ -0,0 +1,171 @@
+/**
+ * audit.js - Audit log page logic (admin only)
+ * Searches /api/audit by person, booking ID, action and date range and shows
+ * who changed what, with before/after values where the action has them
+ */
+
+import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
+import { UI } from './ui.js';
+import { fetchWithTimeout } from './fetch-util.js';
+
+const ACTION_LABELS = {
+    booking_submit: 'Booked a shoot',
+    pro_or_post: 'Booked Pre/Post',
+    update_booking: 'Updated team',
+    delete_booking: 'Deleted booking',
+    free: 'Freed themselves',
+    booking_complete: 'Completed booking',
+    update_attendance: 'Edited attendance',
+    attendance_write: 'Marked attendance',
+    attendance_update: 'Changed attendance',
+    lockout_clear: 'Lifted a lockout',
+    sessions_revoke: 'Ended sessions',
+    view_as_start: 'Started viewing as',
+    view_as_end: 'Stopped viewing as'
+};
+
+const OUTCOME_LABELS = {
+    done: '✅ Done',
+    conflict: '⚠️ Clash',
+    failed: '❌ Failed',
+    noop: '⚪ No change'
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!GUARD.requirePage('audit.view')) return;
+
+    initializePage();
+    loadAudit();
+});
+
+function initializePage() {
+    // Setup logout button
+    document.getElementById('logoutBtn').addEventListener('click', () => {
+        AUTH.logout();
+        window.location.href = '/login.html';
+    });
+
+    // Display username in header
+    const user = AUTH.getCurrentUser();
+    if (user && user.name) {
+        const firstName = user.name.split(' ')[0];
+        const userNameDisplay = document.getElementById('userNameDisplay');
+        if (userNameDisplay) {
+            userNameDisplay.textContent = 'Hi ' + firstName;
+        }
+    }
+
+    const actionSelect = document.getElementById('actionFilter');
+    Object.entries(ACTION_LABELS).forEach(([action, label]) => {
+        const option = document.createElement('option');
+        option.value = action;
+        option.textContent = label;
+        actionSelect.appendChild(option);
+    });
+
+    // A booking ID in the URL (?bookingId=CF00012) opens that booking's history
+    const params = new URLSearchParams(window.location.search);
+    document.getElementById('bookingFilter').value = params.get('bookingId') || '';
+    document.getElementById('personFilter').value = params.get('person') || '';
+
+    document.getElementById('auditFilters').addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadAudit();
+    });
+    document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+        document.getElementById('auditFilters').reset();
+        loadAudit();
+    });
+}
+
+/**
+ * Query string for the current filters; dates are the user's local days
+ * @returns {string}
+ */
+function filterQuery() {
+    const query = new URLSearchParams();
+    const person = document.getElementById('personFilter').value.trim();
+    const bookingId = document.getElementById('bookingFilter').value.trim();
+    const action = document.getElementById('actionFilter').value;
+    const from = document.getElementById('fromFilter').value;
+    const to = document.getElementById('toFilter').value;
+
+    if (person) query.set('person', person);
+    if (bookingId) query.set('bookingId', bookingId);
+    if (action) query.set('action', action);
+    if (from) query.set('from', new Date(`${from}T00:00:00`).toISOString());
+    if (to) query.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+    return query.toString();
+}
+
+async function loadAudit() {
+    const errorDiv = document.getElementById('auditError');
+    const note = document.getElementById('auditNote');
+    UI.showError(errorDiv, '');
+
+    const response = await fetchWithTimeout(`/api/audit?${filterQuery()}`, { credentials: 'same-origin' });
+    const data = response.json ? await response.json().catch(() => ({})) : {};
+    if (!response.ok || !data.ok) {
+        UI.showError(errorDiv, data.message || response.error || `HTTP ${response.status}`);
+        return;
+    }
+
+    note.textContent = data.truncated
+        ? `Showing the newest ${data.records.length} matching records. Narrow the filters to see older ones.`
+        : `${data.records.length} matching record${data.records.length === 1 ? '' : 's'}.`;
+    renderRecords(data.records);
+}
+
+function renderRecords(records) {
+    const tbody = document.getElementById('auditBody');
+    if (records.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: #999;">No matching records</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = records.map(record => {
+        const actor = record.actor || {};
+        const onBehalfOf = record.onBehalfOf ? `<br><small>for ${escapeHtml(record.onBehalfOf)}</small>` : '';
+        return `
+        <tr>
+            <td>${formatDateTime(record.at)}</td>
+            <td>${escapeHtml(actor.name)}<br><small>${escapeHtml(actor.role)} · ${escapeHtml(actor.email)}</small>${onBehalfOf}</td>
+            <td>${escapeHtml(ACTION_LABELS[record.action] || record.action)}</td>
+            <td>${record.bookingId ? `<code>${escapeHtml(record.bookingId)}</code>` : '-'}</td>
+            <td>${formatChanges(record)}</td>
+            <td>${OUTCOME_LABELS[record.outcome] || escapeHtml(record.outcome)}${record.status ? ` <small>HTTP ${record.status}</small>` : ''}<br><small title="Request ID">${escapeHtml(record.requestId || '')}</small></td>
+        </tr>
+    `;
+    }).join('');
+}
+
+/**
+ * Before/after values first, then the remaining details
+ * @param {object} record
+ * @returns {string} HTML
+ */
+function formatChanges(record) {
+    const lines = [];
+    Object.entries(record.changes || {}).forEach(([field, { from, to }]) => {
+        lines.push(`<strong>${escapeHtml(field)}</strong>: ${escapeHtml(from || '(none)')} → ${escapeHtml(to || '(none)')}`);
+    });
+    Object.entries(record.details || {}).forEach(([field, value]) => {
+        const text = Array.isArray(value) ? value.join(', ') : value;
+        lines.push(`<span class="audit-detail">${escapeHtml(field)}: ${escapeHtml(text)}</span>`);
+    });
+    return lines.length > 0 ? lines.join('<br>') : '-';
+}
+
+function formatDateTime(iso) {
+    if (!iso) return '-';
+    return new Date(iso).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'medium' });
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -2,16 +2,17 @@ import { fetchWithTimeout } from './fetch-util.js';
 
 /**
  * auth-api.js - Authentication API (calls backend which calls Google Apps Script)
- * Password is sent plain text over HTTPS and hashed on the server
+ * Password is sent plain text over HTTPS and verified against a salted hash on the server
  */
 
 const AUTH_API = {
     API_URL: "/api/login",  // Backend endpoint (no CORS issues)
+    RESET_URL: "/api/password-reset",
 
     /**
      * Validate user credentials via backend
      * @param {string} email - User email
-     * @param {string} password - User password (sent plain over HTTPS, hashed on server)
+     * @param {string} password - User password (sent plain over HTTPS, verified on server)
      * @returns {Promise<object>} - { ok: boolean, user: object, message: string }
      */
     async validateLogin(email, password) {
@@ -23,9 +24,9 @@ const AUTH_API = {
 
             const payload = {
                 email: emailNormalized,
-                password: password  // Send plain password - will be hashed on server
+                password: password  // Send plain password - verified on server
             };
-            console.log('   Sending payload to backend (password will be hashed server-side)');
+            console.log('   Sending payload to backend (password will be verified server-side)');
 
             const response = await fetchWithTimeout(this.API_URL, {
                 method: 'POST',
@@ -63,6 +64,44 @@ const AUTH_API = {
                 message: error.message || 'Failed to authenticate. Please try again.'
             };
         }
+    },
+
+    /**
+     * Ask the backend to email a password reset link
+     * @param {string} email - User email
+     * @returns {Promise<object>} - { ok: boolean, message: string }
+     */
+    async requestPasswordReset(email) {
+        return this._postReset({ email: email.trim().toLowerCase() });
+    },
+
+    /**
+     * Set a new password using the token from a reset link
+     * @param {string} token - Token from the reset link
+     * @param {string} password - New password (hashed on server)
+     * @returns {Promise<object>} - { ok: boolean, message: string }
+     */
+    async resetPassword(token, password) {
+        return this._postReset({ token, password });
+    },
+
+    async _postReset(payload) {
+        const response = await fetchWithTimeout(this.RESET_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+        if (response.error) {
+            return { ok: false, message: response.error };
+        }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            console.error('❌ Password reset error:', data.message || response.status);
+            return { ok: false, message: data.message || `HTTP ${response.status}` };
+        }
+        return data;
     }
 };
 
@@ -1,10 +1,20 @@
 /**
  * auth.js - Authentication management
+ *
+ * The server issues a signed HttpOnly session cookie on login and stamps the
+ * verified user into every proxied request. The copy kept in localStorage is
+ * only a display cache; guard.js re-checks it against /api/session on each
+ * page. The cache carries the session's absolute and idle deadlines and is
+ * dropped once either has passed, so a stale copy never outlives the cookie.
  */
 
 import { AUTH_API } from './auth-api.js';
+import { SERVICE_STATUS } from './service-status.js';
 
 const AUTH = {
+    /** Server message from the last failed login (generic or throttling) */
+    lastError: null,
+
     /**
      * Login with email and password using API
      * @param {string} email
@@ -22,18 +32,14 @@ const AUTH = {
             console.log('📊 AUTH.login() got result:', result);
 
             if (result.ok && result.user) {
-                // Store session in localStorage (excluding password)
-                const sessionUser = {
-                    email: result.user.email,
-                    name: result.user.name,
-                    role: result.user.role
-                };
-                localStorage.setItem('cf_user', JSON.stringify(sessionUser));
+                // Cache the verified user for display (the session itself is the cookie)
+                const sessionUser = this._cacheUser(result.user, result.session);
                 console.log('✅ User logged in successfully:', sessionUser.email);
                 return sessionUser;
             } else {
                 console.warn('❌ Login failed - API returned ok:false');
                 console.warn('   Message:', result.message);
+                this.lastError = result.message || null;
                 return null;
             }
         } catch (error) {
@@ -43,12 +49,101 @@ const AUTH = {
     },
 
     /**
-     * Get current logged-in user
-     * @returns {object|null} user object if logged in, null otherwise
+     * Store the display copy of the verified user
+     * @private
+     * @param {object} user
+     * @param {object} [session] - { expiresAt, idleExpiresAt, idleTimeoutSeconds, idleWarningSeconds }
+     * @returns {object} cached user
+     */
+    _cacheUser(user, session = {}) {
+        const sessionUser = {
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            permissions: user.permissions || [],
+            pages: user.pages || [],
+            // Set while an admin views the app as this user (view-as.js)
+            impersonator: user.impersonator || null,
+            expiresAt: session.expiresAt || null,
+            idleExpiresAt: session.idleExpiresAt || null,
+            idleTimeoutSeconds: session.idleTimeoutSeconds || null,
+            idleWarningSeconds: session.idleWarningSeconds || null
+        };
+        localStorage.setItem('cf_user', JSON.stringify(sessionUser));
+        return sessionUser;
+    },
+
+    /**
+     * Check the session cookie with the server and refresh the cached user
+     * @returns {Promise<object|null>} verified user, or null if signed out
+     */
+    async verifySession() {
+        try {
+            const response = await fetch('/api/session', { credentials: 'same-origin' });
+            SERVICE_STATUS.observe(response);
+            if (response.status === 401) {
+                localStorage.removeItem('cf_user');
+                return null;
+            }
+            const data = await response.json();
+            if (!data.ok || !data.user) {
+                return this.getCurrentUser();
+            }
+            const sessionUser = this._cacheUser(data.user, data.session);
+            // nav.js re-renders the tabs if the role's pages changed
+            document.dispatchEvent(new CustomEvent('auth:user', { detail: sessionUser }));
+            return sessionUser;
+        } catch (error) {
+            // Network trouble is not a logout - keep the cached user
+            console.warn('⚠️ Could not verify session:', error.message);
+            return this.getCurrentUser();
+        }
+    },
+
+    /**
+     * Tell the server the user is active, restarting the idle clock
+     * @returns {Promise<object|null>} refreshed user, or null if signed out
+     */
+    async touch() {
+        try {
+            const response = await fetch('/api/session', { method: 'POST', credentials: 'same-origin' });
+            SERVICE_STATUS.observe(response);
+            if (response.status === 401) {
+                localStorage.removeItem('cf_user');
+                return null;
+            }
+            const data = await response.json();
+            return data.ok && data.user ? this._cacheUser(data.user, data.session) : this.getCurrentUser();
+        } catch (error) {
+            console.warn('⚠️ Could not refresh session:', error.message);
+            return this.getCurrentUser();
+        }
+    },
+
+    /**
+     * Get current logged-in user (display cache, verified by the server)
+     * @returns {object|null} user object if logged in and the session has
+     *   not run out, null otherwise
      */
     getCurrentUser() {
         const stored = localStorage.getItem('cf_user');
-        return stored ? JSON.parse(stored) : null;
+        if (!stored) return null;
+        const user = JSON.parse(stored);
+        if (this.sessionEnded(user)) {
+            localStorage.removeItem('cf_user');
+            return null;
+        }
+        return user;
+    },
+
+    /**
+     * @param {object} user - cached user
+     * @returns {boolean} true once the absolute or idle deadline has passed
+     */
+    sessionEnded(user) {
+        const now = Date.now();
+        return [user.expiresAt, user.idleExpiresAt]
+            .some(deadline => deadline && Date.parse(deadline) <= now);
     },
 
     /**
@@ -64,24 +159,26 @@ const AUTH = {
      */
     logout() {
         localStorage.removeItem('cf_user');
+        // keepalive lets the request finish while the page navigates away
+        fetch('/api/session', { method: 'DELETE', credentials: 'same-origin', keepalive: true })
+            .catch(() => {});
     },
 
     /**
-     * Require authentication - redirect to login if not authenticated
-     * Should be called on protected pages
+     * Sign out here and end every other session of this user
+     * @returns {Promise<boolean>} true if the server ended the other sessions
      */
-    requireAuth() {
-        if (!this.isAuthenticated()) {
-            window.location.href = '/login.html';
+    async logoutEverywhere() {
+        try {
+            const response = await fetch('/api/session?scope=all', { method: 'DELETE', credentials: 'same-origin' });
+            if (!response.ok) return false;
+            localStorage.removeItem('cf_user');
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not sign out of all devices:', error.message);
             return false;
         }
-        return true;
     }
 };
 
-// Auto-check auth on protected pages
-if (window.location.pathname.includes('booking.html') || window.location.pathname.includes('slot-check.html')) {
-    AUTH.requireAuth();
-}
-
 export { AUTH };
@@ -0,0 +1,131 @@
+/**
+ * booking-events.js - Live booking updates from /api/events
+ *
+ * watch() listens to the Server-Sent Events stream and calls the page's
+ * refresh function whenever a booking is created, updated, deleted, freed
+ * or completed. While the stream is down it polls instead, and it refreshes
+ * once when the stream comes back to catch anything missed in between.
+ * Where the server has no stream (/api/config live_events is false, on
+ * Vercel) it only polls.
+ */
+
+import { getConfig } from './config.js';
+
+const BOOKING_EVENTS = {
+    DEBOUNCE_MS: 500,
+    BACKSTOP_MS: 2 * 60 * 1000,   // poll this often even while connected
+    REOPEN_MS: 60 * 1000,         // retry a stream the browser gave up on
+
+    _source: null,
+    _connected: false,
+    _droppedAt: null,             // when the stream went down, null while connected
+    _refresh: null,
+    _filter: null,
+    _pollMs: 30000,
+    _pollTimer: null,
+    _debounceTimer: null,
+    _lastRefresh: 0,
+
+    /**
+     * Start watching. One watcher per page; calling again replaces it.
+     * @param {function(): (void|Promise<void>)} refresh - reloads the page's data
+     * @param {object} [options]
+     * @param {number} [options.pollMs=30000] - polling interval while the stream is down
+     * @param {function(object): boolean} [options.filter] - which events need a refresh
+     */
+    watch(refresh, { pollMs = 30000, filter = null } = {}) {
+        this.stop();
+        this._refresh = refresh;
+        this._filter = filter;
+        this._pollMs = pollMs;
+        this._lastRefresh = Date.now();
+
+        this._pollTimer = setInterval(() => {
+            if (document.hidden) return;
+            const interval = this._connected ? this.BACKSTOP_MS : this._pollMs;
+            if (Date.now() - this._lastRefresh >= interval) this._run();
+        }, Math.min(pollMs, this.BACKSTOP_MS));
+
+        if (!window.EventSource) {
+            console.warn('⚠️ EventSource not supported - polling for booking updates');
+            return;
+        }
+        getConfig('live_events').then(enabled => {
+            // Watching may have stopped or restarted meanwhile
+            if (this._refresh !== refresh || this._source) return;
+            if (enabled === false) {
+                console.log('📡 Live updates are not available here - polling for booking updates');
+                return;
+            }
+            this._open();
+        });
+    },
+
+    _open() {
+        const source = new EventSource('/api/events');
+        this._source = source;
+
+        source.onopen = () => {
+            const reconnected = this._droppedAt !== null;
+            this._connected = true;
+            this._droppedAt = null;
+            console.log('📡 Live updates connected');
+            if (reconnected) this._schedule();
+        };
+
+        source.addEventListener('booking', (e) => {
+            let event;
+            try {
+                event = JSON.parse(e.data);
+            } catch {
+                return;
+            }
+            console.log('📡 Booking event:', event.type, event.bookingId || '');
+            if (!this._filter || this._filter(event)) this._schedule();
+        });
+
+        source.onerror = () => {
+            if (this._connected) console.warn('⚠️ Live updates dropped - polling until they reconnect');
+            this._connected = false;
+            if (this._droppedAt === null) this._droppedAt = Date.now();
+
+            // CLOSED means the browser will not retry on its own (e.g. 401)
+            if (source.readyState === EventSource.CLOSED && this._source === source) {
+                this._source = null;
+                setTimeout(() => {
+                    if (this._refresh && !this._source) this._open();
+                }, this.REOPEN_MS);
+            }
+        };
+    },
+
+    _schedule() {
+        clearTimeout(this._debounceTimer);
+        this._debounceTimer = setTimeout(() => this._run(), this.DEBOUNCE_MS);
+    },
+
+    async _run() {
+        clearTimeout(this._debounceTimer);
+        this._lastRefresh = Date.now();
+        try {
+            await this._refresh();
+        } catch (error) {
+            console.error('❌ Live refresh failed:', error);
+        }
+    },
+
+    /**
+     * Stop listening and polling
+     */
+    stop() {
+        if (this._source) this._source.close();
+        this._source = null;
+        this._connected = false;
+        this._droppedAt = null;
+        this._refresh = null;
+        clearInterval(this._pollTimer);
+        clearTimeout(this._debounceTimer);
+    }
+};
+
+export { BOOKING_EVENTS };
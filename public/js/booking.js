@@ -3,9 +3,12 @@
  */
 
 import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
+import { NAV } from './nav.js';
 import { UI } from './ui.js';
 import { BRANDIP_API } from './brandip-api.js';
 import { API } from './api.js';
+import { SLOT_LOCK } from './slot-lock.js';
 
 // State
 let bookingState = {
@@ -30,10 +33,7 @@ let bookingState = {
 let bookingSubmitInFlight = false;
 
 document.addEventListener('DOMContentLoaded', () => {
-    // Check auth first
-    if (!AUTH.isAuthenticated()) {
-        return;
-    }
+    if (!GUARD.requirePage('bookings.create')) return;
 
     initializePage();
     setupEventListeners();
@@ -58,8 +58,8 @@ function initializePage() {
         }
     }
 
-    // Initialize booking mode toggle (admin only)
-    const isAdmin = user && (user.role === 'Admin' || user.role === 'admin');
+    // Initialize booking mode toggle (roles that may book for others, i.e. admins)
+    const isAdmin = NAV.can('bookings.on_behalf');
     const bookingModeToggle = document.getElementById('bookingModeToggle');
     if (isAdmin && bookingModeToggle) {
         bookingModeToggle.classList.remove('hidden');
@@ -340,8 +340,8 @@ function selectDate(offset) {
     
     populateTimeSelects(availableTimes);
 
-    // If user changes date after lock, reset lock
-    if (bookingState.isLocked) {
+    // If user changes date after lock (or while waiting for it), reset lock
+    if (bookingState.isLocked || SLOT_LOCK.isActive()) {
         resetLock();
     }
 
@@ -375,8 +375,8 @@ function updateTimeSelection() {
         durationInfo.textContent = '';
     }
 
-    // If user changes time after lock, reset lock
-    if (bookingState.isLocked) {
+    // If user changes time after lock (or while waiting for it), reset lock
+    if (bookingState.isLocked || SLOT_LOCK.isActive()) {
         resetLock();
     }
 
@@ -402,6 +402,7 @@ async function lockDateAndTime() {
     const lockError = document.getElementById('lockError');
     const lockSuccess = document.getElementById('lockSuccess');
     const lockLoading = document.getElementById('lockLoading');
+    const lockStatus = document.getElementById('lockStatus');
 
     try {
         UI.showError(lockError, '');
@@ -412,38 +413,38 @@ async function lockDateAndTime() {
         // Get current user
         const user = AUTH.getCurrentUser();
 
-        // Prepare payload
-        const payload = {
-            action: 'booking_lock',
-            command: '/slot_booking',
-            user: {
-                name: user.name,
-                role: user.role,
-                email: user.email
-            },
+        const slot = {
             dateKey: bookingState.selectedDateKey,
             fromTime: bookingState.fromTime,
             toTime: bookingState.toTime
         };
 
-        // Call API
-        const response = await API.postToN8n(payload);
+        // Take the lease on the slot first - waits in line while someone else holds it
+        const lock = await SLOT_LOCK.acquire(slot, ({ position }) => SLOT_LOCK.showQueued(lockStatus, position));
+        if (!lock) {
+            // Date or time changed while waiting
+            return;
+        }
 
-        console.log('Lock response:', response);
+        // Prepare payload
+        const payload = {
+            action: 'booking_lock',
+            command: '/slot_booking',
+            ...slot
+        };
 
-        // Check if response is "Ongoing Booking" (someone is currently booking)
-        // Response format: {"key":"Ongoing Booking"}
-        if (response?.key === "Ongoing Booking") {
-            const msg = 'Someone else is currently booking. Please try again in a moment.';
-            UI.showError(lockError, msg);
-            if (lockSuccess) lockSuccess.classList.remove('show');
-            lockError.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-            
-            UI.setLoading(lockLoading, false);
-            lockBtn.disabled = false;
+        // Call API - n8n may still be holding the slot itself, in which case wait for it too
+        const response = await SLOT_LOCK.whileHeld(
+            () => API.postToN8n(payload),
+            ({ position }) => SLOT_LOCK.showQueued(lockStatus, position)
+        );
+        if (!response) {
+            // Date or time changed while waiting
             return;
         }
 
+        console.log('Lock response:', response);
+
         // Get name list from webhook: { "name": ["Anusha Koshta - Creator", ...] } or [{ "name": [...] }]
         let namesArray = null;
         if (response && response.name && Array.isArray(response.name)) {
@@ -468,6 +469,8 @@ async function lockDateAndTime() {
 
             // If user is NOT in the list → show error and block
             if (namesArray.length > 0 && !isInList) {
+                SLOT_LOCK.release();
+                lockStatus.classList.add('hidden');
                 const msg = 'Your Already Booked for this slot.';
                 if (lockError) {
                     UI.showError(lockError, msg);
@@ -497,6 +500,9 @@ async function lockDateAndTime() {
         bookingState.selectedDops = new Set();
         bookingState.selectedCast = new Set();
 
+        // Keep the lease alive while the user picks cast and DOPs
+        SLOT_LOCK.hold(lockStatus, onLockExpired);
+
         // Show DOP and cast checkboxes and submit button
         renderDopCheckboxes();
         renderCastCheckboxes();
@@ -509,17 +515,34 @@ async function lockDateAndTime() {
         }
 
     } catch (error) {
+        SLOT_LOCK.release();
+        lockStatus.classList.add('hidden');
         UI.showError(lockError, error.message || 'Failed to lock date and time');
         UI.showToast('Lock failed', 'error', 3000);
     } finally {
         UI.setLoading(lockLoading, false);
         // Keep button disabled if lock was successful
         if (!bookingState.isLocked) {
-            lockBtn.disabled = false;
+            updateLockButtonState();
         }
     }
 }
 
+/**
+ * The slot lease ran out (user idle too long) - start over from the lock step
+ * @param {string} message
+ */
+function onLockExpired(message) {
+    resetLock();
+    const lockError = document.getElementById('lockError');
+    const lockSuccess = document.getElementById('lockSuccess');
+    if (lockSuccess) lockSuccess.classList.remove('show');
+    UI.showError(lockError, message);
+    UI.showToast('Slot lock expired', 'warning', 5000);
+    lockError.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    updateLockButtonState();
+}
+
 function clearConflict() {
     /**
      * Clear conflict state and hide conflict message
@@ -777,6 +800,8 @@ function updateCastCheckboxesAvailability() {
 }
 
 function resetLock() {
+    SLOT_LOCK.release();
+    document.getElementById('lockStatus').classList.add('hidden');
     bookingState.isLocked = false;
     bookingState.dopList = [];
     bookingState.castList = [];
@@ -869,6 +894,7 @@ async function submitBooking() {
     const submitError = document.getElementById('submitError');
     const submitLoading = document.getElementById('submitLoading');
     const successMessage = document.getElementById('successMessage');
+    const lockStatus = document.getElementById('lockStatus');
     submitBtn.disabled = true;
     UI.setLoading(submitLoading, true);
     try {
@@ -890,31 +916,15 @@ async function submitBooking() {
         const noOfShoot = document.getElementById('noOfShoot').value;
         const location = document.getElementById('location').value;
 
-        // Get user
-        const user = AUTH.getCurrentUser();
-
-        // Prepare user object for payload - use firstSelectedCreator if in "other" mode
-        // Extract only name part (remove " - Creator" or " - DOP" suffix)
-        const userForPayload = bookingState.bookingMode === 'other' && bookingState.firstSelectedCreator
-            ? {
-                name: bookingState.firstSelectedCreator,
-                role: user.role,
-                email: user.email
-              }
-            : {
-                name: extractCreatorName(user.name),
-                role: user.role,
-                email: user.email
-              };
-
-        // Prepare payload
+        // Prepare payload - the server stamps the signed-in user; in "other" mode
+        // (admin only) the booking is made on behalf of the first selected creator
         const payload = {
             action: 'booking_submit',
             command: '/slot_booking',
-            user: userForPayload,
             dateKey: bookingState.selectedDateKey,
             fromTime: bookingState.fromTime,
             toTime: bookingState.toTime,
+            lockId: SLOT_LOCK.lock ? SLOT_LOCK.lock.id : '',
             shoot: {
                 shootName,
                 brand: brand,  // Blank if IP selected
@@ -928,17 +938,23 @@ async function submitBooking() {
             }
         };
 
-        // Add idempotency key
-        let request_id;
-        if (window.crypto && window.crypto.randomUUID) {
-            request_id = crypto.randomUUID();
-        } else {
-            request_id = Date.now().toString() + '-' + Math.floor(Math.random() * 1000000);
+        if (bookingState.bookingMode === 'other' && bookingState.firstSelectedCreator) {
+            payload.onBehalfOf = bookingState.firstSelectedCreator;
         }
-        payload.request_id = request_id;
 
-        // Call API
-        const response = await API.postToN8n(payload);
+        // Add idempotency key - reused if this exact submission is retried
+        payload.request_id = API.requestIdFor(payload);
+
+        // Call API - n8n may still be holding the slot itself, in which case wait for it too
+        const response = await SLOT_LOCK.whileHeld(
+            () => API.postToN8n(payload),
+            ({ position }) => SLOT_LOCK.showQueued(lockStatus, position)
+        );
+        if (!response) {
+            // Date or time changed while waiting
+            return;
+        }
+        API.settleRequestId();
 
         // Check if response is a conflict
         if (isConflictResponse(response)) {
@@ -947,7 +963,8 @@ async function submitBooking() {
             return;  // Return early, don't clear form
         }
 
-        // Success
+        // Success - give up the slot lock (the server normally has already)
+        SLOT_LOCK.release();
         successMessage.classList.add('show');
         successMessage.classList.remove('hidden');
         setTimeout(() => {
@@ -956,6 +973,11 @@ async function submitBooking() {
             successMessage.classList.add('hidden');
         }, 3000);
     } catch (error) {
+        if (error.code === 'lock_required') {
+            // The lease lapsed before submit - the slot has to be locked again
+            onLockExpired(error.message);
+            return;
+        }
         UI.showError(submitError, error.message || 'Failed to submit booking');
         UI.showToast('Submission failed', 'error', 3000);
     } finally {
@@ -1,23 +1,18 @@
 import { fetchWithTimeout } from './fetch-util.js';
-import { getConfig } from './config.js';
 
 /**
- * brandip-api.js - API to fetch Brand and IP lists
+ * brandip-api.js - API to fetch Brand and IP lists (via /api/brandip)
  */
 
 const BRANDIP_API = {
     /**
-     * Fetch list of Brands or IPs from Google Apps Script
-     * @param {string} type - "Brand" or "IP"
-     * @returns {Promise<array>} array of brand or IP names
+     * Fetch list of Brands or IPs
+     * @param {string} type - "Brand", "IP", "Campaign", "Pre-Production" or "Post-Production"
+     * @returns {Promise<array>} array of names
      */
     async getNames(type) {
         try {
-            const apiUrl = await getConfig('google_brandip_script_url');
-            if (!apiUrl) {
-                throw new Error('google_brandip_script_url not configured');
-            }
-            const url = `${apiUrl}?brandips=${encodeURIComponent(type)}`;
+            const url = `/api/brandip?type=${encodeURIComponent(type)}`;
             console.log(`📥 Fetching ${type} list...`);
             const res = await fetchWithTimeout(url);
             if (!res.ok) {
@@ -28,7 +23,7 @@ const BRANDIP_API = {
             }
             const data = await res.json();
             if (!data.ok) {
-                throw new Error(data.error || `Failed to fetch ${type} list`);
+                throw new Error(data.error || data.message || `Failed to fetch ${type} list`);
             }
             console.log(`✅ ${type} list loaded:`, data.names?.length || 0, 'items');
             return data.names || [];
@@ -1,6 +1,6 @@
 /**
  * config.js - Fetch and cache configuration from server
- * This loads all API endpoints from the backend instead of hardcoding them
+ * Only non-secret settings; Apps Script URLs and keys stay behind the /api proxies
  */
 
 let CONFIG = null;
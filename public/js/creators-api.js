@@ -1,23 +1,18 @@
 import { fetchWithTimeout } from './fetch-util.js';
-import { getConfig } from './config.js';
 
 /**
- * creators-api.js - API to fetch creators list from Google Apps Script
+ * creators-api.js - API to fetch creators list (via /api/creators)
  */
 
 const CREATORS_API = {
     /**
-     * Fetch list of creators from Google Apps Script
+     * Fetch list of creators
      * @returns {Promise<array>} array of creator names
      */
     async getCreators() {
         try {
             console.log('📥 Fetching creators list...');
-            const apiUrl = await getConfig('google_creators_script_url');
-            if (!apiUrl) {
-                throw new Error('google_creators_script_url not configured');
-            }
-            const res = await fetchWithTimeout(apiUrl);
+            const res = await fetchWithTimeout('/api/creators');
             if (!res.ok) {
                 if (res.error) {
                     throw new Error(res.error);
@@ -26,7 +21,7 @@ const CREATORS_API = {
             }
             const data = await res.json();
             if (!data.ok) {
-                throw new Error(data.error || 'Failed to fetch creators list');
+                throw new Error(data.error || data.message || 'Failed to fetch creators list');
             }
             const creators = data.names || [];
             console.log('✅ Creators list loaded:', creators.length, 'creators');
@@ -6,8 +6,8 @@
 
 import { fetchWithTimeout } from './fetch-util.js';
 import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
 import { UI } from './ui.js';
-import { getConfig } from './config.js';
 
 let employeesState = {
   allData: [],
@@ -16,8 +16,8 @@ let employeesState = {
 };
 
 document.addEventListener('DOMContentLoaded', async () => {
-  if (!AUTH.isAuthenticated()) return;
-  
+  if (!GUARD.requirePage('employees.view')) return;
+
   initializePage();
   await loadEmployeesData();
 });
@@ -84,15 +84,9 @@ async function loadEmployeesData() {
     UI.showError(errorDiv, '');
     UI.setLoading(loadingSpinner, true);
 
-    // Fetch directly from Google Apps Script (no proxy)
-    console.log('🔍 Fetching employees data directly from Google Apps Script...');
-
-    const googleEmployeesUrl = await getConfig('google_employees_script_url');
-    if (!googleEmployeesUrl) {
-      throw new Error('Google Employees Script URL not configured');
-    }
+    console.log('🔍 Fetching employees data...');
 
-    const response = await fetchWithTimeout(googleEmployeesUrl, { method: 'GET' });
+    const response = await fetchWithTimeout('/api/employees', { method: 'GET' });
 
     if (!response.ok) {
       throw new Error(`API returned status ${response.status}`);
@@ -1,6 +1,8 @@
 // public/js/fetch-util.js
 // Minimal fetch wrapper with timeout and consistent error shape
 
+import { SERVICE_STATUS } from './service-status.js';
+
 export async function fetchWithTimeout(url, options = {}, timeout = 60000) {
     const controller = new AbortController();
     const id = setTimeout(() => controller.abort(), timeout);
@@ -8,6 +10,8 @@ export async function fetchWithTimeout(url, options = {}, timeout = 60000) {
     try {
         const response = await fetch(url, options);
         clearTimeout(id);
+        // Keep the degraded-services banner in sync with the server
+        SERVICE_STATUS.observe(response);
         return response;
     } catch (error) {
         clearTimeout(id);
@@ -0,0 +1,108 @@
+/**
+ * guard.js - Page guard for every signed-in page
+ *
+ * Each page starts with one line naming the permission it needs (the same
+ * one its tab has in lib/roles.json):
+ *
+ *   if (!GUARD.requirePage('bookings.create')) return;
+ *
+ * Signed-out visitors are sent to the login page with the URL they asked
+ * for in ?next=, and login brings them back there. Users whose role lacks
+ * the permission go to their first page instead. The cached user is then
+ * re-checked against /api/session; an expired session goes back to login
+ * with a message, and a role that changed meanwhile is re-checked. Pages
+ * that pass also get the idle-logout warning (session-watch.js) and, while
+ * an admin views the app as someone, the "view as" banner (view-as.js).
+ */
+
+import { AUTH } from './auth.js';
+import { NAV } from './nav.js';
+import { SESSION_WATCH } from './session-watch.js';
+import { VIEW_AS } from './view-as.js';
+
+const LOGIN_PAGE = '/login.html';
+
+const GUARD = {
+    /**
+     * Let the page run only for a signed-in user whose role has `permission`
+     * @param {string} permission - e.g. 'bookings.create'
+     * @returns {boolean} true if the page may initialize; false when redirecting
+     */
+    requirePage(permission) {
+        const user = AUTH.getCurrentUser();
+        if (!user) {
+            this.toLogin();
+            return false;
+        }
+
+        // A user cached before roles came with permissions is checked after /api/session
+        if (Array.isArray(user.permissions) && !NAV.can(permission)) {
+            window.location.href = NAV.homePage();
+            return false;
+        }
+
+        AUTH.verifySession().then(verified => {
+            if (!verified) {
+                this.toLogin({ expired: true });
+            } else if (!NAV.can(permission)) {
+                window.location.href = NAV.homePage();
+            }
+        });
+        SESSION_WATCH.start({ onExpired: () => this.sessionExpired() });
+        VIEW_AS.renderBanner();
+        return true;
+    },
+
+    /**
+     * The server refused the session (401): forget the cached user and log in again
+     */
+    sessionExpired() {
+        localStorage.removeItem('cf_user');
+        this.toLogin({ expired: true });
+    },
+
+    /**
+     * Go to the login page, remembering where the user was
+     * @param {object} [options]
+     * @param {boolean} [options.expired] - show the "session expired" message
+     */
+    toLogin({ expired = false } = {}) {
+        const params = new URLSearchParams();
+        const here = this._sameOriginPath(window.location.pathname + window.location.search + window.location.hash);
+        if (here) params.set('next', here);
+        if (expired) params.set('expired', '1');
+        const query = params.toString();
+        window.location.href = query ? `${LOGIN_PAGE}?${query}` : LOGIN_PAGE;
+    },
+
+    /**
+     * Where to go after logging in: the remembered page, or the role's first page
+     * @returns {string} URL
+     */
+    returnUrl() {
+        const next = new URLSearchParams(window.location.search).get('next');
+        return (next && this._sameOriginPath(next)) || NAV.homePage();
+    },
+
+    /**
+     * Resolve a return URL the way the browser would, so tricks such as
+     * /%09/evil.com (the tab is dropped, leaving //evil.com) cannot leave
+     * the site. Never back to the login page itself.
+     * @private
+     * @param {string} url
+     * @returns {string|null} path + search + hash on this origin, or null
+     */
+    _sameOriginPath(url) {
+        let resolved;
+        try {
+            resolved = new URL(url, window.location.origin);
+        } catch (e) {
+            return null;
+        }
+        if (resolved.origin !== window.location.origin) return null;
+        if (resolved.pathname === '/' || resolved.pathname.startsWith(LOGIN_PAGE)) return null;
+        return resolved.pathname + resolved.search + resolved.hash;
+    }
+};
+
+export { GUARD };
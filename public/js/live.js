@@ -3,32 +3,31 @@
  */
 
 import { AUTH } from './auth.js';
-import { NAV } from './nav.js';
+import { GUARD } from './guard.js';
 import { ADMIN_API } from './admin-api.js';
+import { BOOKING_EVENTS } from './booking-events.js';
 
 let liveRefreshInterval = null;
 const tabData = { today: [], tomorrow: [], dayafter: [] };
 let activeTab = 'today';
 
 document.addEventListener('DOMContentLoaded', () => {
-    if (!AUTH.isAuthenticated()) {
-        window.location.href = '/login.html';
-        return;
-    }
-    if (!NAV.isCurrentPageAccessible()) {
-        window.location.href = '/booking.html';
-        return;
-    }
+    if (!GUARD.requirePage('live.view')) return;
 
     initializePage();
     initDayTabs();
     initSearch();
     loadAllTabs();
 
-    // Refresh today's data every 30 seconds
+    // Reload all tabs when a booking changes (polls while the live stream is down)
+    BOOKING_EVENTS.watch(loadAllTabs, { pollMs: 30000 });
+
+    // Redraw today's schedule every minute so the current-time line keeps moving
     liveRefreshInterval = setInterval(() => {
-        if (activeTab === 'today') loadTabData('today');
-    }, 30000);
+        if (tabData.today.length > 0) {
+            loadShootsSchedule(tabData.today, document.getElementById('shootsListToday'), true);
+        }
+    }, 60000);
 });
 
 function initializePage() {
@@ -0,0 +1,198 @@
+/**
+ * lockouts.js - Login lockouts page logic (admin only)
+ * Lists emails/IPs currently locked out of /api/login and the lockout history,
+ * and lets admins sign a person out of every device (/api/sessions) or view
+ * the app as them (view-as.js)
+ */
+
+import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
+import { NAV } from './nav.js';
+import { VIEW_AS } from './view-as.js';
+import { UI } from './ui.js';
+import { fetchWithTimeout } from './fetch-util.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!GUARD.requirePage('lockouts.manage')) return;
+
+    initializePage();
+    loadLockouts();
+    if (NAV.can('sessions.revoke')) {
+        document.getElementById('sessionsSection').hidden = false;
+        loadRevocations();
+    }
+    document.getElementById('viewAsSection').hidden = !NAV.can('users.impersonate');
+});
+
+function initializePage() {
+    // Setup logout button
+    document.getElementById('logoutBtn').addEventListener('click', () => {
+        AUTH.logout();
+        window.location.href = '/login.html';
+    });
+
+    // Display username in header
+    const user = AUTH.getCurrentUser();
+    if (user && user.name) {
+        const firstName = user.name.split(' ')[0];
+        const userNameDisplay = document.getElementById('userNameDisplay');
+        if (userNameDisplay) {
+            userNameDisplay.textContent = 'Hi ' + firstName;
+        }
+    }
+
+    // Unlock buttons are rendered dynamically
+    document.getElementById('activeLockoutsBody').addEventListener('click', (e) => {
+        const btn = e.target.closest('.unlock-btn');
+        if (btn) {
+            unlock(btn.dataset.type, btn.dataset.value);
+        }
+    });
+
+    document.getElementById('revokeForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        revokeSessions();
+    });
+
+    document.getElementById('viewAsForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const btn = document.getElementById('viewAsBtn');
+        btn.disabled = true;
+        if (!(await VIEW_AS.start(document.getElementById('viewAsEmail').value))) {
+            btn.disabled = false;
+        }
+    });
+
+}
+
+async function loadLockouts() {
+    const errorDiv = document.getElementById('lockoutsError');
+    UI.showError(errorDiv, '');
+
+    const response = await fetchWithTimeout('/api/lockouts', { credentials: 'same-origin' });
+    if (!response.ok) {
+        const data = response.json ? await response.json().catch(() => ({})) : {};
+        UI.showError(errorDiv, data.message || response.error || `HTTP ${response.status}`);
+        return;
+    }
+
+    const data = await response.json();
+    renderActive(data.active || []);
+    renderHistory(data.history || []);
+}
+
+function renderActive(active) {
+    const tbody = document.getElementById('activeLockoutsBody');
+    if (active.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">No active lockouts</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = active.map(lockout => `
+        <tr>
+            <td>${escapeHtml(lockout.value)} <span class="type-badge">${escapeHtml(lockout.type)}</span></td>
+            <td>${lockout.failures}</td>
+            <td>${formatDateTime(lockout.lockedUntil)}</td>
+            <td><button class="btn btn-small btn-secondary unlock-btn" data-type="${escapeHtml(lockout.type)}" data-value="${escapeHtml(lockout.value)}">Unlock</button></td>
+        </tr>
+    `).join('');
+}
+
+function renderHistory(history) {
+    const tbody = document.getElementById('lockoutHistoryBody');
+    if (history.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: #999;">No lockouts recorded</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = history.map(record => `
+        <tr>
+            <td>${formatDateTime(record.lockedAt)}</td>
+            <td>${escapeHtml(record.email || '-')}</td>
+            <td>${escapeHtml(record.ip || '-')}</td>
+            <td>${escapeHtml(record.type)} (${record.failures} failures)</td>
+        </tr>
+    `).join('');
+}
+
+async function unlock(type, value) {
+    const url = `/api/lockouts?type=${encodeURIComponent(type)}&value=${encodeURIComponent(value)}`;
+    const response = await fetchWithTimeout(url, { method: 'DELETE', credentials: 'same-origin' });
+    if (response.ok) {
+        UI.showToast(`Unlocked ${value}`, 'success', 2000);
+        loadLockouts();
+    } else {
+        UI.showToast('Failed to unlock', 'error', 3000);
+    }
+}
+
+async function loadRevocations() {
+    const errorDiv = document.getElementById('sessionsError');
+    UI.showError(errorDiv, '');
+
+    const response = await fetchWithTimeout('/api/sessions', { credentials: 'same-origin' });
+    if (!response.ok) {
+        const data = response.json ? await response.json().catch(() => ({})) : {};
+        UI.showError(errorDiv, data.message || response.error || `HTTP ${response.status}`);
+        return;
+    }
+
+    const data = await response.json();
+    renderRevocations(data.revocations || []);
+}
+
+function renderRevocations(revocations) {
+    const tbody = document.getElementById('revocationsBody');
+    if (revocations.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3" style="text-align: center; color: #999;">Nobody has been signed out yet</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = revocations.map(record => `
+        <tr>
+            <td>${formatDateTime(record.at)}</td>
+            <td>${escapeHtml(record.email)}</td>
+            <td>${record.scope === 'self' ? 'Themselves' : escapeHtml(record.by || '-')}</td>
+        </tr>
+    `).join('');
+}
+
+async function revokeSessions() {
+    const input = document.getElementById('revokeEmail');
+    const btn = document.getElementById('revokeBtn');
+    const email = input.value.trim();
+    if (!email) return;
+
+    btn.disabled = true;
+    try {
+        const response = await fetchWithTimeout('/api/sessions', {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email })
+        });
+        const data = response.json ? await response.json().catch(() => ({})) : {};
+        if (!response.ok) {
+            UI.showToast(data.message || response.error || 'Failed to sign out', 'error', 3000);
+            return;
+        }
+        UI.showToast(`Signed ${email} out everywhere`, 'success', 2000);
+        input.value = '';
+        loadRevocations();
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function formatDateTime(iso) {
+    if (!iso) return '-';
+    return new Date(iso).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
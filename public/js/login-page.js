@@ -4,6 +4,7 @@
 
 import { AUTH_API } from './auth-api.js';
 import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
 import { UI } from './ui.js';
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -16,6 +17,16 @@ document.addEventListener('DOMContentLoaded', () => {
     const forgotLink = document.getElementById('forgotPasswordLink');
     const modal = document.getElementById('forgotPasswordModal');
     const modalCloseBtn = document.getElementById('modalClose');
+    const forgotForm = document.getElementById('forgotForm');
+    const forgotEmail = document.getElementById('forgotEmail');
+    const forgotMessage = document.getElementById('forgotMessage');
+    const forgotError = document.getElementById('forgotError');
+    const forgotSubmit = document.getElementById('forgotSubmit');
+
+    // guard.js sends expired sessions here with ?expired=1
+    if (new URLSearchParams(window.location.search).get('expired') === '1') {
+        UI.showError(loginError, 'Your session has expired. Please log in again.');
+    }
 
     // Password visibility toggle
     if (togglePasswordBtn && passwordInput) {
@@ -36,10 +47,39 @@ document.addEventListener('DOMContentLoaded', () => {
     if (forgotLink && modal) {
         forgotLink.addEventListener('click', (e) => {
             e.preventDefault();
+            if (forgotEmail && !forgotEmail.value) {
+                forgotEmail.value = emailInput.value.trim();
+            }
             modal.classList.add('modal-open');
             modal.setAttribute('aria-hidden', 'false');
         });
     }
+
+    // Forgot password: request a reset link by email
+    if (forgotForm) {
+        forgotForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const email = forgotEmail.value.trim();
+            UI.showError(forgotError, '');
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                UI.showError(forgotError, 'Please enter a valid email address');
+                return;
+            }
+
+            forgotSubmit.disabled = true;
+            forgotSubmit.textContent = 'Sending...';
+            const result = await AUTH_API.requestPasswordReset(email);
+            forgotSubmit.disabled = false;
+            forgotSubmit.textContent = 'Send reset link';
+
+            if (result.ok) {
+                forgotMessage.textContent = result.message;
+                forgotForm.classList.add('hidden');
+            } else {
+                UI.showError(forgotError, result.message || 'Could not send the reset link. Please try again.');
+            }
+        });
+    }
     if (modalCloseBtn && modal) {
         modalCloseBtn.addEventListener('click', () => {
             modal.classList.remove('modal-open');
@@ -95,10 +135,11 @@ document.addEventListener('DOMContentLoaded', () => {
             if (user) {
                 UI.showToast('Login successful!', 'success', 1500);
                 setTimeout(() => {
-                    window.location.href = '/booking.html';
+                    // Back to the page that sent them here, if any
+                    window.location.href = GUARD.returnUrl();
                 }, 500);
             } else {
-                UI.showError(loginError, 'Invalid email or password');
+                UI.showError(loginError, AUTH.lastError || 'Invalid email or password');
                 UI.showToast('Login failed', 'error', 3000);
                 loginBtn.disabled = false;
                 loginBtn.textContent = 'Login';
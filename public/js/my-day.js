@@ -1,22 +1,21 @@
 import { fetchWithTimeout } from './fetch-util.js';
 import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
 import { UI } from './ui.js';
 import { API } from './api.js';
-import { getConfig } from './config.js';
+import { BOOKING_EVENTS } from './booking-events.js';
 
 /**
  * my-day.js - My Day page logic (FINAL)
  * Fixes:
- * 1) Calls Google Apps Script Web App directly (no /api proxy)
+ * 1) Calls the My Day script through /api/google-script (URL and key stay server-side)
  * 2) Sends BOTH employee + name params (supports old + new GAS)
  * 3) Supports role param too
  * 4) Handles GAS response format: { ok, rows } OR array fallback
  * 5) Fixes time sorting for "4:00 pm" strings
  */
 
-let GOOGLE_SCRIPT_API_ENDPOINT = null;
-
-const BOOKING_API_KEY = "bookingkey";
+const MY_DAY_API_URL = "/api/google-script";
 
 let myDayState = {
   userBookings: [],
@@ -24,20 +23,8 @@ let myDayState = {
 };
 
 document.addEventListener("DOMContentLoaded", async () => {
-  if (!AUTH.isAuthenticated()) return;
-  
-  // Check if user is admin - if so, redirect to admin dashboard
-  const user = AUTH.getCurrentUser();
-  if (user && user.role === 'Admin') {
-    window.location.href = '/todays-shoots.html';
-    return;
-  }
-  
-  GOOGLE_SCRIPT_API_ENDPOINT = await getConfig('google_myday_script_url');
-  if (!GOOGLE_SCRIPT_API_ENDPOINT) {
-    console.error('❌ GOOGLE_SCRIPT_API_ENDPOINT not configured');
-    return;
-  }
+  if (!GUARD.requirePage('myday.view')) return;
+
   initializePage();
 });
 
@@ -74,6 +61,9 @@ function initializePage() {
 
   loadUserBookings(name, role);
 
+  // Reload when any booking changes (polls while the live stream is down)
+  BOOKING_EVENTS.watch(() => loadUserBookings(name, role));
+
   // Initialize delete confirmation modal listeners
   initializeDeleteModal();
   // Initialize free confirmation modal listeners
@@ -103,17 +93,13 @@ async function loadUserBookings(userName, userRole) {
         ? "dop"
         : "creator";
 
-    // ✅ IMPORTANT: send employee param (because your GAS complains "Missing employee")
-    // Also send name param for forward compatibility if you later switch GAS to name.
+    // The proxy sends both employee + name params to GAS
     const apiUrl =
-      GOOGLE_SCRIPT_API_ENDPOINT +
+      MY_DAY_API_URL +
       "?employee=" + encodeURIComponent(userName) +
-      "&name=" + encodeURIComponent(userName) +
-      "&role=" + encodeURIComponent(roleNormalized) +
-      "&key=" + encodeURIComponent(BOOKING_API_KEY);
+      "&role=" + encodeURIComponent(roleNormalized);
 
     console.log("🔍 Fetching bookings for:", { userName, role: roleNormalized });
-    console.log("📍 GAS endpoint:", apiUrl);
 
     const response = await fetchWithTimeout(apiUrl, { method: "GET" });
 
@@ -968,8 +954,6 @@ function handleDeleteConfirm() {
  */
 async function deleteBooking(bookingData, reason = '') {
   try {
-    const user = AUTH.getCurrentUser();
-    
     // Prepare webhook payload
     const payload = {
       action: 'delete_booking',
@@ -989,11 +973,6 @@ async function deleteBooking(bookingData, reason = '') {
         cast: bookingData.cast,
         deleteReason: reason || ""
       },
-      user: {
-        name: user?.name || "-",
-        role: user?.role || "-",
-        email: user?.email || "-"
-      }
     };
 
     console.log("📤 Sending delete booking webhook:", payload);
@@ -1216,8 +1195,6 @@ function isUserFreedFromBooking(bookingId, currentUserName) {
  */
 async function markBookingFree(bookingData) {
   try {
-    const user = AUTH.getCurrentUser();
-    
     // Prepare webhook payload
     const payload = {
       action: 'free',
@@ -1237,11 +1214,6 @@ async function markBookingFree(bookingData) {
         cast: bookingData.cast,
         noOfShoot: bookingData.noOfShoot
       },
-      user: {
-        name: user?.name || "-",
-        role: user?.role || "-",
-        email: user?.email || "-"
-      }
     };
 
     console.log("📤 Sending free booking webhook:", payload);
@@ -1385,8 +1357,6 @@ function formatTimeForWebhook(timeValue) {
  */
 async function initiateEditBooking(bookingData) {
   try {
-    const user = AUTH.getCurrentUser();
-    
     // Store booking data for later use
     const editState = {
       bookingData: bookingData,
@@ -1406,11 +1376,6 @@ async function initiateEditBooking(bookingData) {
     const payload = {
       action: 'booking_lock',
       command: '/slot_booking',
-      user: {
-        name: user?.name || "-",
-        role: user?.role || "-",
-        email: user?.email || "-"
-      },
       dateKey: formatDateForWebhook(bookingData.date),
       fromTime: formatTimeForWebhook(bookingData.fromTime),
       toTime: formatTimeForWebhook(bookingData.toTime)
@@ -1774,8 +1739,6 @@ async function handleUpdateBookingClick() {
  */
 async function submitUpdatedBooking(bookingData, editState, removeUsers, addUsers, newNoOfShoot) {
   try {
-    const user = AUTH.getCurrentUser();
-    
     // Get old DOP and Cast (before changes) - names only
     const oldDop = bookingData.dop ? extractNameOnly(bookingData.dop) : "";
     const oldCast = bookingData.cast ? bookingData.cast.split(',').map(c => extractNameOnly(c.trim())).join(", ") : "";
@@ -1817,11 +1780,6 @@ async function submitUpdatedBooking(bookingData, editState, removeUsers, addUser
       },
       removeUsers: removeUsers,
       addUsers: addUsers,
-      user: {
-        name: user?.name || "-",
-        role: user?.role || "-",
-        email: user?.email || "-"
-      }
     };
     
     console.log("📤 Sending update booking webhook:", payload);
@@ -2016,18 +1974,10 @@ async function submitCompleteBooking() {
   }
 
   try {
-    // Get current user
-    const user = AUTH.getCurrentUser();
-
     // Prepare payload
     const payload = {
       action: 'booking_complete',
       command: '/complete',
-      user: {
-        name: user?.name || '-',
-        role: user?.role || '-',
-        email: user?.email || '-'
-      },
       bookingData: {
         bookingId: bookingData.bookingId,
         shootName: bookingData.shootName,
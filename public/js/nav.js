@@ -5,95 +5,35 @@
 
 const NAV = {
     /**
-     * Page configuration based on user role
-     * Admin pages: Today's Shoots, Tomorrow Shoots, Live, Employees
-     * Creator/DOP pages: Slot Booking, Pre/Post, Live, Slot Check, My Day, Attendance
-     * Other pages: Slot Booking, Pre/Post, Live, Slot Check, My Day, Attendance
+     * Get pages visible for current user. The server lists them with the
+     * user at login and on every session check, from the role model in
+     * lib/roles.json, so there is no per-role table here.
+     * @returns {array} array of page objects {name, url}
      */
-    pages: {
-        admin: [
-            { name: 'Today Shoots', url: '/todays-shoots.html' },
-            { name: 'Tomorrow Shoots', url: '/tomorrow-shoots.html' },
-            { name: 'Live', url: '/live.html' },
-            { name: 'Employees', url: '/employees.html' },
-            { name: 'Slot Booking', url: '/booking.html' }
-        ],
-        Admin: [
-            { name: 'Today Shoots', url: '/todays-shoots.html' },
-            { name: 'Tomorrow Shoots', url: '/tomorrow-shoots.html' },
-            { name: 'Live', url: '/live.html' },
-            { name: 'Employees', url: '/employees.html' },
-            { name: 'Slot Booking', url: '/booking.html' }
-        ],
-        creator: [
-            { name: 'Slot Booking', url: '/booking.html' },
-            { name: 'Pre/Post', url: '/prepost.html' },
-            { name: 'Live', url: '/live.html' },
-            { name: 'Slot Check', url: '/slot-check.html' },
-            { name: 'My Day', url: '/my-day.html' },
-            { name: 'Attendance', url: '/attendance.html' }
-        ],
-        Creator: [
-            { name: 'Slot Booking', url: '/booking.html' },
-            { name: 'Pre/Post', url: '/prepost.html' },
-            { name: 'Live', url: '/live.html' },
-            { name: 'Slot Check', url: '/slot-check.html' },
-            { name: 'My Day', url: '/my-day.html' },
-            { name: 'Attendance', url: '/attendance.html' }
-        ],
-        dop: [
-            { name: 'Slot Booking', url: '/booking.html' },
-            { name: 'Pre/Post', url: '/prepost.html' },
-            { name: 'Live', url: '/live.html' },
-            { name: 'Slot Check', url: '/slot-check.html' },
-            { name: 'My Day', url: '/my-day.html' },
-            { name: 'Attendance', url: '/attendance.html' }
-        ],
-        DOP: [
-            { name: 'Slot Booking', url: '/booking.html' },
-            { name: 'Pre/Post', url: '/prepost.html' },
-            { name: 'Live', url: '/live.html' },
-            { name: 'Slot Check', url: '/slot-check.html' },
-            { name: 'My Day', url: '/my-day.html' },
-            { name: 'Attendance', url: '/attendance.html' }
-        ],
-        nonAdmin: [
-            { name: 'Slot Booking', url: '/booking.html' },
-            { name: 'Pre/Post', url: '/prepost.html' },
-            { name: 'Live', url: '/live.html' },
-            { name: 'Slot Check', url: '/slot-check.html' },
-            { name: 'My Day', url: '/my-day.html' },
-            { name: 'Attendance', url: '/attendance.html' }
-        ]
+    getVisiblePages() {
+        const user = this.getCurrentUser();
+        return user && Array.isArray(user.pages) ? user.pages : [];
     },
 
     /**
-     * Get pages visible for current user
-     * @returns {array} array of page objects {name, url}
+     * First page the user may open - where login and refused pages send them
+     * @returns {string} URL
      */
-    getVisiblePages() {
+    homePage() {
+        const user = this.getCurrentUser();
+        if (user && !Array.isArray(user.pages)) return '/booking.html';
+        const pages = this.getVisiblePages();
+        return pages.length > 0 ? pages[0].url : '/login.html';
+    },
+
+    /**
+     * Check whether the current user's role grants a permission
+     * @param {string} permission - e.g. 'bookings.on_behalf'
+     * @returns {boolean}
+     */
+    can(permission) {
         const user = this.getCurrentUser();
-        if (!user) return [];
-        
-        const role = user.role;
-        console.log('🔍 NAV.getVisiblePages() - User role:', role, 'Type:', typeof role);
-        console.log('🔍 Available role configs:', Object.keys(this.pages));
-        
-        // Try exact match first
-        if (this.pages[role]) {
-            console.log('✅ Found pages for role:', role);
-            return this.pages[role];
-        }
-        
-        // Try lowercase match
-        const lowerRole = role?.toLowerCase();
-        if (this.pages[lowerRole]) {
-            console.log('✅ Found pages for role (lowercase):', lowerRole);
-            return this.pages[lowerRole];
-        }
-        
-        console.log('⚠️ No pages found for role, using nonAdmin as fallback');
-        return this.pages.nonAdmin;
+        return Boolean(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
     },
 
     /**
@@ -133,20 +73,6 @@ const NAV = {
 
             tabsContainer.appendChild(tab);
         });
-    },
-
-    /**
-     * Check if current page is accessible for user's role
-     * @returns {boolean}
-     */
-    isCurrentPageAccessible() {
-        const user = this.getCurrentUser();
-        if (!user) return false;
-
-        const currentUrl = window.location.pathname;
-        const visiblePages = this.getVisiblePages();
-
-        return visiblePages.some(page => currentUrl.includes(page.url.replace('/', '')));
     }
 };
 
@@ -155,4 +81,9 @@ document.addEventListener('DOMContentLoaded', () => {
     NAV.renderNavigation();
 });
 
+// Re-render once /api/session has refreshed the cached user (auth.js)
+document.addEventListener('auth:user', () => {
+    NAV.renderNavigation();
+});
+
 export { NAV };
@@ -3,9 +3,11 @@
  */
 
 import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
 import { UI } from './ui.js';
 import { BRANDIP_API } from './brandip-api.js';
 import { API } from './api.js';
+import { SLOT_LOCK } from './slot-lock.js';
 
 // State
 let prepostState = {
@@ -30,20 +32,9 @@ let prepostState = {
 };
 
 let prepostSubmitInFlight = false;
-let employeeSelectionTimeout = null;  // Track timeout for employee selection 90-second timer
 
 document.addEventListener('DOMContentLoaded', () => {
-    // Check auth first
-    if (!AUTH.isAuthenticated()) {
-        return;
-    }
-
-    // Check if user is admin - if so, redirect to admin dashboard
-    const user = AUTH.getCurrentUser();
-    if (user && user.role === 'Admin') {
-        window.location.href = '/todays-shoots.html';
-        return;
-    }
+    if (!GUARD.requirePage('bookings.prepost')) return;
 
     initializePage();
     setupEventListeners();
@@ -346,8 +337,8 @@ function selectDate(offset) {
     
     populateTimeSelects(availableTimes);
 
-    // If user changes date after lock, reset lock
-    if (prepostState.isLocked) {
+    // If user changes date after lock (or while waiting for it), reset lock
+    if (prepostState.isLocked || SLOT_LOCK.isActive()) {
         resetLock();
     }
 
@@ -381,6 +372,11 @@ function updateTimeSelection() {
         durationInfo.textContent = '';
     }
 
+    // If user changes time after lock (or while waiting for it), reset lock
+    if (prepostState.isLocked || SLOT_LOCK.isActive()) {
+        resetLock();
+    }
+
     updateLockButtonState();
 }
 
@@ -453,6 +449,7 @@ async function lockDateAndTime() {
     const lockError = document.getElementById('lockError');
     const lockSuccess = document.getElementById('lockSuccess');
     const lockLoading = document.getElementById('lockLoading');
+    const lockStatus = document.getElementById('lockStatus');
 
     try {
         UI.showError(lockError, '');
@@ -463,43 +460,38 @@ async function lockDateAndTime() {
         // Get current user
         const user = AUTH.getCurrentUser();
 
-        // Prepare payload (same as booking page)
-        const payload = {
-            action: 'booking_lock',
-            command: '/slot_booking',
-            user: {
-                name: user.name,
-                role: user.role,
-                email: user.email
-            },
+        const slot = {
             dateKey: prepostState.selectedDateKey,
             fromTime: prepostState.fromTime,
             toTime: prepostState.toTime
         };
 
-        // Call API
-        const response = await API.postToN8n(payload);
+        // Take the lease on the slot first - waits in line while someone else holds it
+        const lock = await SLOT_LOCK.acquire(slot, ({ position }) => SLOT_LOCK.showQueued(lockStatus, position));
+        if (!lock) {
+            // Date or time changed while waiting
+            return;
+        }
 
-        console.log('Lock response:', response);
+        // Prepare payload (same as booking page)
+        const payload = {
+            action: 'booking_lock',
+            command: '/slot_booking',
+            ...slot
+        };
 
-        // Check if response is "Ongoing Booking" (someone is currently booking)
-        // Response format: {"key":"Ongoing Booking"}
-        if (response?.key === "Ongoing Booking") {
-            const msg = 'someone else is booking try after 90 sec';
-            UI.showError(lockError, msg);
-            if (lockSuccess) lockSuccess.classList.remove('show');
-            lockError.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-            
-            // Auto-refresh after 90 seconds
-            setTimeout(() => {
-                window.location.reload();
-            }, 90000);
-            
-            UI.setLoading(lockLoading, false);
-            lockBtn.disabled = false;
+        // Call API - n8n may still be holding the slot itself, in which case wait for it too
+        const response = await SLOT_LOCK.whileHeld(
+            () => API.postToN8n(payload),
+            ({ position }) => SLOT_LOCK.showQueued(lockStatus, position)
+        );
+        if (!response) {
+            // Date or time changed while waiting
             return;
         }
 
+        console.log('Lock response:', response);
+
         // Get name list from webhook: { "name": ["Anusha Koshta - Creator", ...] } or [{ "name": [...] }]
         let namesArray = null;
         if (response && response.name && Array.isArray(response.name)) {
@@ -522,6 +514,8 @@ async function lockDateAndTime() {
 
         // If user is NOT in the list → show error and block
         if (namesArray.length > 0 && !isInList) {
+            SLOT_LOCK.release();
+            lockStatus.classList.add('hidden');
             const msg = 'Your Already Booked for this slot.';
             if (lockError) {
                 UI.showError(lockError, msg);
@@ -550,20 +544,14 @@ async function lockDateAndTime() {
         prepostState.selectedDops = new Set();
         prepostState.selectedCast = new Set();
 
+        // Keep the lease alive while the user picks cast and DOPs
+        SLOT_LOCK.hold(lockStatus, onLockExpired);
+
         // Show DOP and cast checkboxes and submit button
         renderDopCheckboxes();
         renderCastCheckboxes();
         document.getElementById('submitSection').classList.remove('hidden');
 
-        // Start 90-second timer - if user doesn't submit within 90 seconds, refresh page
-        if (employeeSelectionTimeout) {
-            clearTimeout(employeeSelectionTimeout);
-        }
-        employeeSelectionTimeout = setTimeout(() => {
-            console.log('90 seconds passed without booking submission - refreshing page');
-            window.location.reload();
-        }, 90000);
-
         // Show success message below button
         if (lockSuccess) {
             lockSuccess.textContent = 'List successfully loaded';
@@ -571,17 +559,34 @@ async function lockDateAndTime() {
         }
 
     } catch (error) {
+        SLOT_LOCK.release();
+        lockStatus.classList.add('hidden');
         UI.showError(lockError, error.message || 'Failed to lock date and time');
         UI.showToast('Lock failed', 'error', 3000);
     } finally {
         UI.setLoading(lockLoading, false);
         // Keep button disabled if lock was successful
         if (!prepostState.isLocked) {
-            lockBtn.disabled = false;
+            updateLockButtonState();
         }
     }
 }
 
+/**
+ * The slot lease ran out (user idle too long) - start over from the lock step
+ * @param {string} message
+ */
+function onLockExpired(message) {
+    resetLock();
+    const lockError = document.getElementById('lockError');
+    const lockSuccess = document.getElementById('lockSuccess');
+    if (lockSuccess) lockSuccess.classList.remove('show');
+    UI.showError(lockError, message);
+    UI.showToast('Slot lock expired', 'warning', 5000);
+    lockError.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    updateLockButtonState();
+}
+
 function renderDopCheckboxes() {
     const dopCheckboxes = document.getElementById('dopCheckboxes');
     dopCheckboxes.innerHTML = '';
@@ -733,18 +738,14 @@ function updateSubmitButtonState() {
 }
 
 function resetLock() {
+    SLOT_LOCK.release();
+    document.getElementById('lockStatus').classList.add('hidden');
     prepostState.isLocked = false;
     prepostState.dopList = [];
     prepostState.castList = [];
     prepostState.selectedDops = new Set();
     prepostState.selectedCast = new Set();
 
-    // Clear the 90-second timeout
-    if (employeeSelectionTimeout) {
-        clearTimeout(employeeSelectionTimeout);
-        employeeSelectionTimeout = null;
-    }
-
     // Keep form visible but clear DOP and cast checkboxes and submit button
     document.getElementById('dopCheckboxes').innerHTML = '';
     document.getElementById('castCheckboxes').innerHTML = '';
@@ -852,21 +853,14 @@ async function submitBooking() {
         const numberField = document.getElementById('numberField').value;
         const remark = document.getElementById('remark').value.trim();
 
-        // Get user
-        const user = AUTH.getCurrentUser();
-
         // Prepare payload
         const payload = {
             action: 'pro_or_post',
             command: '/prepost',
-            user: {
-                name: user.name,
-                role: user.role,
-                email: user.email
-            },
             dateKey: prepostState.selectedDateKey,
             fromTime: prepostState.fromTime,
             toTime: prepostState.toTime,
+            lockId: SLOT_LOCK.lock ? SLOT_LOCK.lock.id : '',
             productionDetails: {
                 productionStageType: productionStageType,  // 'preproduction' or 'postproduction'
                 productionStageValue: productionStageValue,  // Selected option
@@ -882,23 +876,15 @@ async function submitBooking() {
             }
         };
 
-        // Add idempotency key
-        let request_id;
-        if (window.crypto && window.crypto.randomUUID) {
-            request_id = crypto.randomUUID();
-        } else {
-            request_id = Date.now().toString() + '-' + Math.floor(Math.random() * 1000000);
-        }
-        payload.request_id = request_id;
+        // Add idempotency key - reused if this exact submission is retried
+        payload.request_id = API.requestIdFor(payload);
 
         // Call API
         await API.postToN8n(payload);
+        API.settleRequestId();
 
-        // Clear the 90-second timeout since booking was submitted successfully
-        if (employeeSelectionTimeout) {
-            clearTimeout(employeeSelectionTimeout);
-            employeeSelectionTimeout = null;
-        }
+        // Give up the slot lock (the server normally has already)
+        SLOT_LOCK.release();
 
         // Success
         successMessage.classList.add('show');
@@ -909,6 +895,11 @@ async function submitBooking() {
             successMessage.classList.add('hidden');
         }, 3000);
     } catch (error) {
+        if (error.code === 'lock_required') {
+            // The lease lapsed before submit - the slot has to be locked again
+            onLockExpired(error.message);
+            return;
+        }
         UI.showError(submitError, error.message || 'Failed to submit booking');
         UI.showToast('Submission failed', 'error', 3000);
     } finally {
@@ -0,0 +1,57 @@
+/**
+ * reset-password.js - Reset password page logic
+ * Sets a new password using the token from the emailed reset link
+ */
+
+import { AUTH_API } from './auth-api.js';
+import { UI } from './ui.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+document.addEventListener('DOMContentLoaded', () => {
+    const resetForm = document.getElementById('resetForm');
+    const passwordInput = document.getElementById('newPassword');
+    const confirmInput = document.getElementById('confirmPassword');
+    const resetError = document.getElementById('resetError');
+    const resetSuccess = document.getElementById('resetSuccess');
+    const submitBtn = resetForm.querySelector('button[type="submit"]');
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+        UI.showError(resetError, 'This reset link is incomplete. Please request a new one from the login page.');
+        submitBtn.disabled = true;
+        return;
+    }
+
+    resetForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        UI.showError(resetError, '');
+
+        const password = passwordInput.value;
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            UI.showError(resetError, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+            return;
+        }
+        if (password !== confirmInput.value) {
+            UI.showError(resetError, 'Passwords do not match');
+            return;
+        }
+
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Saving...';
+        const result = await AUTH_API.resetPassword(token, password);
+
+        if (result.ok) {
+            resetSuccess.textContent = result.message || 'Password updated. You can now log in.';
+            resetSuccess.classList.add('show');
+            UI.showToast('Password updated', 'success', 1500);
+            setTimeout(() => {
+                window.location.href = '/login.html';
+            }, 2000);
+        } else {
+            UI.showError(resetError, result.message || 'Could not reset the password. Please try again.');
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Set new password';
+        }
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * service-status.js - "Service degraded" banner
+ *
+ * While an upstream (Apps Script or n8n) keeps failing, the server fails
+ * fast for it and lists it in the X-Degraded-Services header of every API
+ * response. observe() keeps a banner at the top of the page in sync with
+ * that header.
+ */
+
+const SERVICE_STATUS = {
+    _banner: null,
+
+    /**
+     * Show or hide the banner for an API response
+     * @param {Response} response
+     */
+    observe(response) {
+        if (!response || !response.headers) return;
+        const degraded = response.headers.get('X-Degraded-Services');
+        if (degraded) {
+            this._show(degraded);
+        } else {
+            this._hide();
+        }
+    },
+
+    _show(services) {
+        if (!this._banner) {
+            this._banner = document.createElement('div');
+            this._banner.className = 'degraded-banner';
+            this._banner.setAttribute('role', 'status');
+            document.body.prepend(this._banner);
+            console.warn('⚠️ Degraded services:', services);
+        }
+        this._banner.textContent = `⚠️ Some services are having trouble (${services}). Lists may be out of date and some actions may fail - please try again in a minute.`;
+    },
+
+    _hide() {
+        if (!this._banner) return;
+        this._banner.remove();
+        this._banner = null;
+        console.log('✅ Services recovered');
+    }
+};
+
+export { SERVICE_STATUS };
@@ -0,0 +1,250 @@
+/**
+ * session-watch.js - Idle logout warning and "sign out of all devices"
+ *
+ * Started by guard.js on every signed-in page. Clicks, keys and scrolling
+ * restart the server's idle clock (POST /api/session, at most once a
+ * minute). The deadlines live in the cached user (auth.js), which every tab
+ * shares, so activity in one tab keeps the others signed in too.
+ *
+ * idleWarningSeconds before the idle deadline a dialog counts down with
+ * "Stay signed in" and "Sign out"; when the deadline passes the page goes to
+ * the login page. The absolute lifetime is warned about the same way, but
+ * cannot be extended.
+ */
+
+import { AUTH } from './auth.js';
+import { UI } from './ui.js';
+
+const TICK_MS = 1000;
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'scroll'];
+
+const SESSION_WATCH = {
+    _started: false,
+    _ended: false,
+    _timer: null,
+    _onExpired: null,
+    _lastTouchAt: 0,
+    _touching: false,
+    _dialog: null,
+
+    /**
+     * Watch this page's session; only the first call does anything
+     * @param {object} options
+     * @param {Function} options.onExpired - called once the session has run out
+     */
+    start({ onExpired }) {
+        if (this._started) return;
+        this._started = true;
+        this._onExpired = onExpired;
+        this._lastTouchAt = Date.now();
+
+        ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, () => this._activity(), { capture: true, passive: true });
+        });
+        this._timer = setInterval(() => this._tick(), TICK_MS);
+
+        const logoutAllBtn = document.getElementById('logoutAllBtn');
+        if (logoutAllBtn) {
+            logoutAllBtn.addEventListener('click', () => this._confirmLogoutAll());
+        }
+    },
+
+    /**
+     * The user did something: report it unless it was reported recently
+     * @private
+     */
+    _activity() {
+        if (this._ended || this._touching || this._dialog?.dataset.kind === 'idle') return;
+        if (Date.now() - this._lastTouchAt < TOUCH_INTERVAL_MS) return;
+        this._touch();
+    },
+
+    /**
+     * Restart the idle clock on the server
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _touch() {
+        this._touching = true;
+        this._lastTouchAt = Date.now();
+        try {
+            const user = await AUTH.touch();
+            if (!user) this._expire();
+        } finally {
+            this._touching = false;
+        }
+    },
+
+    /**
+     * Once a second: warn, clear the warning, or end the session
+     * @private
+     */
+    _tick() {
+        if (this._ended) return;
+        const user = AUTH.getCurrentUser();
+        if (!user) {
+            this._expire();
+            return;
+        }
+        if (!user.idleExpiresAt) return;
+
+        const remainingMs = Date.parse(user.idleExpiresAt) - Date.now();
+        // idleExpiresAt is capped at expiresAt, so this is also the absolute deadline
+        const final = user.idleExpiresAt === user.expiresAt;
+        if (remainingMs <= (user.idleWarningSeconds || 0) * 1000) {
+            this._showWarning(remainingMs, final);
+        } else if (this._dialog?.dataset.kind === 'idle') {
+            // Another tab kept the session alive
+            this._closeDialog();
+        }
+    },
+
+    /**
+     * @private
+     */
+    _expire() {
+        if (this._ended) return;
+        this._ended = true;
+        clearInterval(this._timer);
+        this._closeDialog();
+        // Clear the cookie too, in case the browser's clock ran ahead of the server's
+        AUTH.logout();
+        this._onExpired();
+    },
+
+    /**
+     * @private
+     * @param {number} remainingMs
+     * @param {boolean} final - the absolute lifetime is ending; it cannot be extended
+     */
+    _showWarning(remainingMs, final) {
+        const countdown = formatCountdown(remainingMs);
+        const message = final
+            ? `Your session reaches its time limit in ${countdown}. Save your work, then sign in again.`
+            : `You will be signed out in ${countdown} because you have been inactive.`;
+
+        if (this._dialog?.dataset.kind === 'idle') {
+            this._dialog.querySelector('.modal-message').textContent = message;
+            return;
+        }
+
+        const buttons = [{ label: 'Sign out', className: 'btn-secondary', onClick: () => this._signOut() }];
+        if (!final) {
+            buttons.push({ label: 'Stay signed in', className: 'btn-primary', onClick: () => this._stay() });
+        }
+        this._openDialog('idle', final ? 'Session ending' : 'Still there?', message, buttons);
+    },
+
+    /**
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _stay() {
+        this._closeDialog();
+        await this._touch();
+    },
+
+    /**
+     * @private
+     */
+    _signOut() {
+        this._ended = true;
+        AUTH.logout();
+        window.location.href = '/login.html';
+    },
+
+    /**
+     * @private
+     */
+    _confirmLogoutAll() {
+        this._openDialog(
+            'logout-all',
+            'Sign out of all devices?',
+            'This signs you out everywhere you are signed in, including here.',
+            [
+                { label: 'Cancel', className: 'btn-secondary', onClick: () => this._closeDialog() },
+                { label: 'Sign out everywhere', className: 'btn-primary', onClick: () => this._logoutAll() }
+            ]
+        );
+    },
+
+    /**
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _logoutAll() {
+        this._closeDialog();
+        if (await AUTH.logoutEverywhere()) {
+            this._ended = true;
+            window.location.href = '/login.html';
+        } else {
+            UI.showToast('Could not sign out of all devices. Please try again.', 'error', 4000);
+        }
+    },
+
+    /**
+     * Show a dialog with the shared .modal-* styles, replacing any open one
+     * @private
+     * @param {string} kind - 'idle' or 'logout-all'
+     * @param {string} title
+     * @param {string} message
+     * @param {object[]} buttons - { label, className, onClick }
+     */
+    _openDialog(kind, title, message, buttons) {
+        this._closeDialog();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+        overlay.dataset.kind = kind;
+        overlay.setAttribute('role', 'alertdialog');
+        overlay.setAttribute('aria-modal', 'true');
+
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+        const heading = document.createElement('h3');
+        heading.className = 'modal-title';
+        heading.textContent = title;
+        const text = document.createElement('p');
+        text.className = 'modal-message';
+        text.textContent = message;
+        const actions = document.createElement('div');
+        actions.className = 'session-dialog-actions';
+        buttons.forEach(({ label, className, onClick }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn ${className}`;
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        });
+
+        content.append(heading, text, actions);
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+        // Next frame, so the fade-in transition runs
+        requestAnimationFrame(() => overlay.classList.add('modal-open'));
+        this._dialog = overlay;
+        actions.lastChild.focus();
+    },
+
+    /**
+     * @private
+     */
+    _closeDialog() {
+        if (!this._dialog) return;
+        this._dialog.remove();
+        this._dialog = null;
+    }
+};
+
+/**
+ * @param {number} ms
+ * @returns {string} e.g. '1:05'
+ */
+function formatCountdown(ms) {
+    const seconds = Math.max(0, Math.ceil(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export { SESSION_WATCH };
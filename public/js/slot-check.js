@@ -3,6 +3,7 @@
  */
 
 import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
 import { UI } from './ui.js';
 import { API } from './api.js';
 import './creators.js';  // Load creators list
@@ -24,17 +25,7 @@ let slotCheckState = {
 };
 
 document.addEventListener('DOMContentLoaded', () => {
-    // Check auth first
-    if (!AUTH.isAuthenticated()) {
-        return;
-    }
-
-    // Check if user is admin - if so, redirect to admin dashboard
-    const user = AUTH.getCurrentUser();
-    if (user && user.role === 'Admin') {
-        window.location.href = '/todays-shoots.html';
-        return;
-    }
+    if (!GUARD.requirePage('slots.check')) return;
 
     initializePage();
     setupModeToggle();
@@ -397,18 +388,10 @@ async function checkTimeAvailability() {
         UI.setLoading(timeModeLoading, true);
         timeCheckBtn.disabled = true;
 
-        // Get user
-        const user = AUTH.getCurrentUser();
-
         // Prepare payload
         const payload = {
             action: 'slotcheck_time',
             command: '/slot_check',
-            user: {
-                name: user.name,
-                role: user.role,
-                email: user.email
-            },
             dateKey: slotCheckState.timeModeState.selectedDateKey,
             fromTime: slotCheckState.timeModeState.fromTime,
             toTime: slotCheckState.timeModeState.toTime
@@ -516,18 +499,10 @@ async function checkCreatorsAvailability() {
         UI.setLoading(creatorsModeLoading, true);
         creatorsCheckBtn.disabled = true;
 
-        // Get user
-        const user = AUTH.getCurrentUser();
-
         // Prepare payload
         const payload = {
             action: 'slotcheck_creators',
             command: '/slot_check',
-            user: {
-                name: user.name,
-                role: user.role,
-                email: user.email
-            },
             dateKey: slotCheckState.creatorsModeState.selectedDateKey,
             creators: Array.from(slotCheckState.creatorsModeState.selectedCreators)
         };
@@ -0,0 +1,292 @@
+import { fetchWithTimeout } from './fetch-util.js';
+import { GUARD } from './guard.js';
+
+/**
+ * slot-lock.js - Lease on a booking slot (/api/slot-lock)
+ *
+ * acquire() takes the lease, waiting in line while someone else holds the
+ * slot. hold() then keeps it alive with heartbeats while the user is active
+ * on the page and shows a countdown; an idle user's lease runs out and the
+ * slot goes to the next person in line.
+ */
+
+const SLOT_LOCK = {
+    HEARTBEAT_MS: 20000,
+    WARN_SECONDS: 30,
+
+    lock: null,         // { id, dateKey, fromTime, toTime, expiresAt, leaseSeconds }
+    _attempt: null,     // token of the acquire() in progress; release() clears it
+    _waiting: null,     // { timer, resolve } while queued
+    _hold: null,        // { statusEl, onExpired, heartbeat, countdown, active }
+
+    /**
+     * @param {string} method
+     * @param {object} body
+     * @returns {Promise<{status: number, data: object}>}
+     * @throws {Error} on network errors and expired sessions
+     */
+    async _send(method, body) {
+        const response = await fetchWithTimeout('/api/slot-lock', {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }, 15000);
+
+        if (response.error) {
+            throw new Error(response.error);
+        }
+        if (response.status === 401) {
+            GUARD.sessionExpired();
+            throw new Error('Your session has expired. Please log in again.');
+        }
+
+        let data = {};
+        try {
+            data = await response.json();
+        } catch {
+            data = { message: `HTTP ${response.status}` };
+        }
+        return { status: response.status, data };
+    },
+
+    /**
+     * True while holding a lease or waiting in line for one
+     * @returns {boolean}
+     */
+    isActive() {
+        return !!(this.lock || this._attempt);
+    },
+
+    /**
+     * Take the lease on a slot, waiting in line if it is held
+     * @param {object} slot - { dateKey, fromTime, toTime }
+     * @param {function(object): void} [onQueued] - called with { position, heldUntil } on every retry
+     * @returns {Promise<object|null>} the lock, or null if cancelled while waiting
+     * @throws {Error} when the server refuses the request
+     */
+    async acquire(slot, onQueued) {
+        await this.release();
+        const attempt = this._attempt = {};
+        const { dateKey, fromTime, toTime } = slot;
+
+        try {
+            for (;;) {
+                const { status, data } = await this._send('POST', { dateKey, fromTime, toTime });
+                if (this._attempt !== attempt) {
+                    // Released while the request was in flight
+                    if (status === 200 && data.lock) await this._delete(data.lock);
+                    return null;
+                }
+                if (status === 200 && data.lock) {
+                    this.lock = data.lock;
+                    console.log('🔒 Slot lock acquired:', this.lock.id);
+                    return this.lock;
+                }
+                if (status !== 409 || data.code !== 'slot_locked') {
+                    throw new Error(data.message || 'Failed to lock date and time');
+                }
+
+                if (onQueued) onQueued({ position: data.position, heldUntil: data.heldUntil });
+                if (!(await this._wait(data.retryAfter))) return null;
+            }
+        } finally {
+            if (this._attempt === attempt) this._attempt = null;
+        }
+    },
+
+    /**
+     * With the lease taken, run a request n8n may still refuse with 409
+     * slot_locked while its own lock on the slot is held (Ongoing Booking),
+     * asking again until it answers
+     * @param {function(): Promise<*>} request - e.g. the booking_lock call
+     * @param {function(object): void} [onQueued] - called with { position } on every retry
+     * @returns {Promise<*>} the request's result, or null if released while waiting
+     * @throws {Error} when the request fails otherwise or the lease runs out meanwhile
+     */
+    async whileHeld(request, onQueued) {
+        for (;;) {
+            try {
+                return await request();
+            } catch (error) {
+                if (error.code !== 'slot_locked') throw error;
+                if (onQueued) onQueued({ position: 1 });
+                if (!(await this._wait(error.retryAfter))) return null;
+                // Waiting is not activity on the page, so keep the lease alive here
+                await this.renew();
+                if (!this.lock) throw new Error('Your hold on this slot has expired. Please lock it again.');
+            }
+        }
+    },
+
+    /**
+     * @private
+     * @param {number} [seconds]
+     * @returns {Promise<boolean>} false when cancelWait() ended the wait
+     */
+    async _wait(seconds) {
+        const keepWaiting = await new Promise(resolve => {
+            const timer = setTimeout(() => resolve(true), (seconds || 5) * 1000);
+            this._waiting = { timer, resolve };
+        });
+        this._waiting = null;
+        return keepWaiting;
+    },
+
+    /**
+     * Stop waiting in line; acquire() resolves with null
+     */
+    cancelWait() {
+        if (!this._waiting) return;
+        clearTimeout(this._waiting.timer);
+        this._waiting.resolve(false);
+        this._waiting = null;
+    },
+
+    /**
+     * Show the user's place in line
+     * @param {HTMLElement} statusEl
+     * @param {number} position - 1 = next
+     */
+    showQueued(statusEl, position) {
+        statusEl.textContent = position > 1
+            ? `⏳ Someone else is booking this slot. You're #${position} in line - we'll lock it for you when it's your turn.`
+            : `⏳ Someone else is booking this slot. You're next - we'll lock it for you as soon as they finish.`;
+        statusEl.classList.remove('expiring', 'hidden');
+        statusEl.classList.add('waiting');
+    },
+
+    /**
+     * Keep the lease alive while the user is active and show its countdown
+     * @param {HTMLElement} statusEl - countdown target
+     * @param {function(string): void} onExpired - called with a message when the lease is lost
+     */
+    hold(statusEl, onExpired) {
+        this._stopHold();
+        const hold = { statusEl, onExpired, active: false, expiring: false };
+        const markActive = () => {
+            hold.active = true;
+            // Close to expiry, don't wait for the next heartbeat
+            if (hold.expiring) {
+                hold.expiring = false;
+                hold.active = false;
+                this.renew();
+            }
+        };
+        hold.listeners = ['click', 'keydown', 'change', 'touchstart'].map(type => {
+            document.addEventListener(type, markActive, true);
+            return [type, markActive];
+        });
+
+        hold.heartbeat = setInterval(() => {
+            if (!hold.active) return;
+            hold.active = false;
+            this.renew();
+        }, this.HEARTBEAT_MS);
+        hold.countdown = setInterval(() => this._render(), 1000);
+
+        this._hold = hold;
+        this._render();
+    },
+
+    /**
+     * Extend the lease now (heartbeat)
+     * @returns {Promise<void>}
+     */
+    async renew() {
+        if (!this.lock) return;
+        try {
+            const { status, data } = await this._send('PUT', { lockId: this.lock.id });
+            if (status === 200 && data.lock) {
+                this.lock = data.lock;
+                this._render();
+            } else if (status === 410) {
+                this._expire(data.message);
+            }
+        } catch (error) {
+            // A missed heartbeat is retried on the next one; the countdown shows the risk
+            console.warn('⚠️ Slot lock heartbeat failed:', error.message);
+        }
+    },
+
+    _render() {
+        if (!this.lock || !this._hold) return;
+        const remaining = Math.max(0, Math.round((new Date(this.lock.expiresAt).getTime() - Date.now()) / 1000));
+        if (remaining === 0) {
+            this._expire();
+            return;
+        }
+
+        const el = this._hold.statusEl;
+        const clock = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+        const expiring = remaining <= this.WARN_SECONDS;
+        el.textContent = expiring
+            ? `⏳ Slot held for ${clock} - click anywhere to keep it`
+            : `🔒 Slot held for you for ${clock}`;
+        el.classList.toggle('expiring', expiring);
+        this._hold.expiring = expiring;
+        el.classList.remove('waiting', 'hidden');
+    },
+
+    _expire(message) {
+        const hold = this._hold;
+        this._stopHold();
+        this.lock = null;
+        console.log('🔓 Slot lock expired');
+        if (hold) hold.onExpired(message || 'Your hold on this slot has expired. Please lock it again.');
+    },
+
+    _stopHold() {
+        if (!this._hold) return;
+        clearInterval(this._hold.heartbeat);
+        clearInterval(this._hold.countdown);
+        this._hold.listeners.forEach(([type, listener]) => document.removeEventListener(type, listener, true));
+        this._hold.statusEl.classList.add('hidden');
+        this._hold = null;
+    },
+
+    /**
+     * Forget a lease the server has already released (after a successful booking)
+     */
+    forget() {
+        this._stopHold();
+        this.lock = null;
+    },
+
+    /**
+     * Give the slot back and leave any queue. keepalive lets this finish
+     * while the page unloads.
+     * @returns {Promise<void>}
+     */
+    async release() {
+        const queued = !!this._attempt;
+        this.cancelWait();
+        this._attempt = null;
+        const lock = this.lock;
+        this.forget();
+        if (lock || queued) await this._delete(lock);
+    },
+
+    /**
+     * @param {object|null} lock - null just leaves the queue
+     */
+    async _delete(lock) {
+        try {
+            await fetch('/api/slot-lock', {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ lockId: lock ? lock.id : null }),
+                keepalive: true
+            });
+            if (lock) console.log('🔓 Slot lock released:', lock.id);
+        } catch (error) {
+            // The lease runs out on its own
+            console.warn('⚠️ Slot lock release failed:', error.message);
+        }
+    }
+};
+
+window.addEventListener('pagehide', () => {
+    SLOT_LOCK.release();
+});
+
+export { SLOT_LOCK };
@@ -0,0 +1,195 @@
+/**
+ * status.js - System status page logic (admin only)
+ * Renders /api/health?check=ready: overall readiness, each Apps Script and
+ * n8n with probe latency and last error, and which env vars are set. Also
+ * shows the cached reference lists with a "refresh lists" action (/api/lists)
+ */
+
+import { AUTH } from './auth.js';
+import { GUARD } from './guard.js';
+import { UI } from './ui.js';
+import { fetchWithTimeout } from './fetch-util.js';
+
+const STATUS_LABELS = {
+    ready: '✅ All systems ready',
+    degraded: '⚠️ Ready, but some services are down',
+    not_ready: '❌ Not ready - sign-in or booking is affected'
+};
+
+const UPSTREAM_LABELS = {
+    auth: 'Sign-in (auth script)',
+    myday: 'Bookings (My Day script)',
+    n8n: 'Booking workflow (n8n)',
+    creators: 'Creators list',
+    brandip: 'Brand/IP lists',
+    attendance: 'Attendance',
+    adminData: 'Admin shoots data',
+    employees: 'Employees'
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (!GUARD.requirePage('status.view')) return;
+
+    initializePage();
+    loadStatus();
+    loadLists();
+});
+
+function initializePage() {
+    // Setup logout button
+    document.getElementById('logoutBtn').addEventListener('click', () => {
+        AUTH.logout();
+        window.location.href = '/login.html';
+    });
+
+    // Display username in header
+    const user = AUTH.getCurrentUser();
+    if (user && user.name) {
+        const firstName = user.name.split(' ')[0];
+        const userNameDisplay = document.getElementById('userNameDisplay');
+        if (userNameDisplay) {
+            userNameDisplay.textContent = 'Hi ' + firstName;
+        }
+    }
+
+    document.getElementById('recheckBtn').addEventListener('click', loadStatus);
+    document.getElementById('refreshListsBtn').addEventListener('click', refreshLists);
+}
+
+async function loadStatus() {
+    const errorDiv = document.getElementById('statusError');
+    const btn = document.getElementById('recheckBtn');
+    UI.showError(errorDiv, '');
+    btn.disabled = true;
+
+    try {
+        // 503 still carries the report when the app is not ready
+        const response = await fetchWithTimeout('/api/health?check=ready', { credentials: 'same-origin' }, 20000);
+        const data = response.json ? await response.json().catch(() => ({})) : {};
+        if (!data.upstreams) {
+            UI.showError(errorDiv, data.message || response.error || `HTTP ${response.status}`);
+            return;
+        }
+        renderSummary(data);
+        renderUpstreams(data.upstreams, data.degraded || []);
+        renderEnv(data.env || []);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function renderSummary(data) {
+    const summary = document.getElementById('statusSummary');
+    summary.textContent = STATUS_LABELS[data.status] || data.status;
+    summary.className = `status-summary status-${data.status}`;
+
+    document.getElementById('statusMeta').textContent =
+        `Checked ${formatDateTime(data.checkedAt)} · up since ${formatDateTime(data.startedAt)} ` +
+        `(${formatDuration(data.uptimeSeconds)}). Results are reused for 30 seconds.`;
+}
+
+function renderUpstreams(upstreams, degraded) {
+    const open = new Set(degraded.map(d => d.name));
+    const tbody = document.getElementById('upstreamsBody');
+    tbody.innerHTML = upstreams.map(upstream => {
+        let status = upstream.status === 'up' ? '✅ Up' : (upstream.status === 'down' ? '❌ Down' : '⚪ Not configured');
+        if (open.has(upstream.name)) status += ' (failing fast)';
+        const lastError = upstream.lastError
+            ? `${escapeHtml(upstream.lastError.message)}<br><small>${formatDateTime(upstream.lastError.at)}</small>`
+            : '-';
+        return `
+        <tr>
+            <td>${escapeHtml(UPSTREAM_LABELS[upstream.name] || upstream.name)}${upstream.critical ? ' <span class="type-badge">critical</span>' : ''}</td>
+            <td>${status}${upstream.httpStatus ? ` <small>HTTP ${upstream.httpStatus}</small>` : ''}</td>
+            <td>${upstream.latencyMs === null ? '-' : `${upstream.latencyMs} ms`}</td>
+            <td>${lastError}</td>
+        </tr>
+    `;
+    }).join('');
+}
+
+function renderEnv(env) {
+    const tbody = document.getElementById('envBody');
+    tbody.innerHTML = env.map(variable => {
+        let set = '✅';
+        if (!variable.configured) set = variable.required ? '❌ Missing' : '⚪ Not set';
+        return `
+        <tr>
+            <td><code>${escapeHtml(variable.name)}</code></td>
+            <td>${set}</td>
+            <td>${escapeHtml(variable.feature)}: ${escapeHtml(variable.note || (variable.required ? 'Required' : 'Optional'))}</td>
+        </tr>
+    `;
+    }).join('');
+}
+
+async function loadLists() {
+    const errorDiv = document.getElementById('listsError');
+    UI.showError(errorDiv, '');
+
+    const response = await fetchWithTimeout('/api/lists', { credentials: 'same-origin' });
+    if (!response.ok) {
+        const data = response.json ? await response.json().catch(() => ({})) : {};
+        UI.showError(errorDiv, data.message || response.error || `HTTP ${response.status}`);
+        return;
+    }
+
+    const data = await response.json();
+    document.getElementById('listsCacheNote').textContent =
+        `Lists are reused for ${Math.round(data.ttlSeconds / 60)} min, then reloaded in the background. ` +
+        'Refresh after changing a list in the sheet so everyone sees it within seconds.';
+    renderLists(data.lists || []);
+}
+
+function renderLists(lists) {
+    const tbody = document.getElementById('listsBody');
+    tbody.innerHTML = lists.map(list => `
+        <tr>
+            <td>${escapeHtml(list.name)}</td>
+            <td>${list.count ?? '-'}</td>
+            <td>${formatDateTime(list.fetchedAt)}</td>
+            <td>${escapeHtml(list.state)}</td>
+        </tr>
+    `).join('');
+}
+
+async function refreshLists() {
+    const btn = document.getElementById('refreshListsBtn');
+    btn.disabled = true;
+    try {
+        const response = await fetchWithTimeout('/api/lists', { method: 'POST', credentials: 'same-origin' });
+        const data = response.json ? await response.json().catch(() => ({})) : {};
+        if (!response.ok) {
+            UI.showToast(data.message || response.error || 'Failed to refresh lists', 'error', 3000);
+            return;
+        }
+        renderLists(data.lists || []);
+        if (data.failed && data.failed.length > 0) {
+            UI.showToast(`Could not reload: ${data.failed.map(f => f.name).join(', ')}`, 'warning', 4000);
+        } else {
+            UI.showToast('Lists refreshed', 'success', 2000);
+        }
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+}
+
+function formatDateTime(iso) {
+    if (!iso) return '-';
+    return new Date(iso).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
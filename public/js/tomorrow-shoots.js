@@ -3,24 +3,21 @@
  */
 
 import { AUTH } from './auth.js';
-import { NAV } from './nav.js';
+import { GUARD } from './guard.js';
 import { ADMIN_API } from './admin-api.js';
+import { BOOKING_EVENTS } from './booking-events.js';
+import { fetchWithTimeout } from './fetch-util.js';
 
 document.addEventListener('DOMContentLoaded', () => {
-    // Check auth first
-    if (!AUTH.isAuthenticated()) {
-        window.location.href = '/login.html';
-        return;
-    }
-
-    // Check if user has access to this page (admin only)
-    if (!NAV.isCurrentPageAccessible()) {
-        window.location.href = '/booking.html';
-        return;
-    }
+    if (!GUARD.requirePage('shoots.view')) return;
 
     initializePage();
     loadPageData();
+
+    // Reload when a booking for tomorrow (or one whose date isn't known) changes
+    BOOKING_EVENTS.watch(loadPageData, {
+        filter: event => !event.dateKey || event.dateKey === ADMIN_API._getTomorrowDateString()
+    });
 });
 
 function initializePage() {
@@ -102,22 +99,12 @@ function loadOverviewStats(shoots) {
 }
 
 /**
- * Load Attendance Section - Fetch from Google Apps Script and group by status
+ * Load Attendance Section - Fetch from /api/attendance and group by status
  */
 async function loadAttendanceSection() {
     const attendanceContent = document.getElementById('attendanceContent');
     
     try {
-        // Get Google Apps Script URL from config
-        const { getConfig } = await import('./config.js');
-        const gasUrl = await getConfig('google_attendance_script_url');
-        
-        if (!gasUrl) {
-            console.error('❌ Google Attendance Script URL not configured');
-            attendanceContent.innerHTML = '<p style="color: #e74c3c;">Attendance API not configured</p>';
-            return;
-        }
-
         // Get tomorrow's date in format "03 Mar 26"
         const tomorrow = formatDateForApi(getTomorrowDate());
         
@@ -126,11 +113,10 @@ async function loadAttendanceSection() {
         dateAfterTomorrow.setDate(dateAfterTomorrow.getDate() + 2);
         const dateAfterStr = formatDateForApi(dateAfterTomorrow);
         
-        // Build URL to Google Apps Script directly
-        const apiUrl = `${gasUrl}?action=read_all&from=${encodeURIComponent(tomorrow)}&to=${encodeURIComponent(dateAfterStr)}`;
+        const apiUrl = `/api/attendance?action=read_all&from=${encodeURIComponent(tomorrow)}&to=${encodeURIComponent(dateAfterStr)}`;
         
-        console.log('📤 Fetching attendance from Google Apps Script...');
-        const response = await fetch(apiUrl);
+        console.log('📤 Fetching attendance...');
+        const response = await fetchWithTimeout(apiUrl);
         
         if (!response.ok) {
             throw new Error(`API error: ${response.status}`);
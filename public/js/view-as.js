@@ -0,0 +1,108 @@
+/**
+ * view-as.js - Admin "view as" (read-only impersonation)
+ *
+ * An admin picks an employee on the Lockouts page and the server re-issues
+ * their session as that person (/api/view-as): the tabs, My Day and
+ * attendance are the employee's, and the server refuses every change.
+ * While it lasts a banner at the top of every page names both people and
+ * has a one-click exit. Starting and ending are recorded in the audit log.
+ */
+
+import { AUTH } from './auth.js';
+import { NAV } from './nav.js';
+import { UI } from './ui.js';
+
+const VIEW_AS = {
+    _banner: null,
+
+    /**
+     * Start viewing the app as an employee, then open their first page
+     * @param {string} email
+     * @returns {Promise<boolean>} false if the server refused
+     */
+    async start(email) {
+        const data = await this._request('POST', { email: email.trim().toLowerCase() });
+        if (!data) return false;
+        window.location.href = NAV.homePage();
+        return true;
+    },
+
+    /**
+     * Back to the admin's own session, on the page they started from
+     * @returns {Promise<boolean>} false if the server refused
+     */
+    async exit() {
+        const data = await this._request('DELETE');
+        if (!data) return false;
+        window.location.href = '/lockouts.html';
+        return true;
+    },
+
+    /**
+     * Show the banner on this page while viewing as someone; called by guard.js
+     * and again whenever the cached user changes
+     */
+    renderBanner() {
+        const user = AUTH.getCurrentUser();
+        const logoutAllBtn = document.getElementById('logoutAllBtn');
+        // Signing everyone out would end the viewed person's sessions, so it is refused meanwhile
+        if (logoutAllBtn) logoutAllBtn.hidden = Boolean(user?.impersonator);
+
+        if (!user?.impersonator) {
+            this._banner?.remove();
+            this._banner = null;
+            return;
+        }
+
+        if (!this._banner) {
+            this._banner = document.createElement('div');
+            this._banner.className = 'view-as-banner';
+            this._banner.setAttribute('role', 'status');
+            const text = document.createElement('span');
+            const exitBtn = document.createElement('button');
+            exitBtn.type = 'button';
+            exitBtn.className = 'btn btn-small btn-secondary';
+            exitBtn.textContent = 'Exit';
+            exitBtn.addEventListener('click', async () => {
+                exitBtn.disabled = true;
+                if (!(await this.exit())) exitBtn.disabled = false;
+            });
+            this._banner.append(text, exitBtn);
+            document.body.prepend(this._banner);
+        }
+        this._banner.firstChild.textContent =
+            `👁 Viewing as ${user.name} (${user.role}) - read-only. Signed in as ${user.impersonator.name}.`;
+    },
+
+    /**
+     * @private
+     * @param {string} method - POST or DELETE
+     * @param {object} [body]
+     * @returns {Promise<object|null>} response data, or null after showing the error
+     */
+    async _request(method, body) {
+        try {
+            const response = await fetch('/api/view-as', {
+                method,
+                credentials: 'same-origin',
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.ok) {
+                UI.showToast(data.message || `HTTP ${response.status}`, 'error', 4000);
+                return null;
+            }
+            AUTH._cacheUser(data.user, data.session);
+            return data;
+        } catch (error) {
+            UI.showToast('Network error - please try again', 'error', 4000);
+            return null;
+        }
+    }
+};
+
+// /api/session may report that "view as" ended elsewhere (another tab)
+document.addEventListener('auth:user', () => VIEW_AS.renderBanner());
+
+export { VIEW_AS };
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * scripts/build.js - Write ./public to ./dist for Vercel (npm run build)
+ *
+ * Every file is copied with its references rewritten to hashed URLs
+ * (lib/assets.js), and scripts, stylesheets, images and fonts are also
+ * written under their name.<hash>.ext URL, which vercel.json serves as
+ * immutable. The unhashed copies stay so bookmarks and old pages still load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getAsset, isHashable, withHash, listAssets } = require('../lib/assets');
+
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+
+function write(urlPath, content) {
+    const file = path.join(DIST_DIR, urlPath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+fs.rmSync(DIST_DIR, { recursive: true, force: true });
+
+let hashed = 0;
+const urls = listAssets();
+urls.forEach(urlPath => {
+    const asset = getAsset(urlPath);
+    write(urlPath, asset.content);
+    if (isHashable(urlPath)) {
+        write(withHash(urlPath, asset.hash), asset.content);
+        hashed++;
+    }
+});
+
+console.log(`Built ${urls.length} files (${hashed} hashed) into ${path.relative(process.cwd(), DIST_DIR) || '.'}`);